@@ -0,0 +1,203 @@
+// Minimal RFC 6455 server for local relay testing: text frames, ping/pong and
+// close only, no extensions. Not meant for production traffic.
+
+import { createHash } from "node:crypto";
+import { EventEmitter } from "node:events";
+import { createServer } from "node:http";
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_PAYLOAD_BYTES = 1024 * 1024;
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Returns `{ frame, rest }`, or null while `buffer` holds a partial frame.
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (length > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Frame of ${length} bytes exceeds the limit`);
+  }
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + length) return null;
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  offset += maskLength;
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) {
+    for (let i = 0; i < payload.length; i += 1) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+  return {
+    frame: { fin, opcode, payload },
+    rest: buffer.subarray(offset + length),
+  };
+}
+
+/**
+ * One client connection. Emits `message` (string), `close` ({ code, reason })
+ * and `error`.
+ */
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket, request) {
+    super();
+    this.socket = socket;
+    this.request = request;
+    this.open = true;
+    this._buffer = Buffer.alloc(0);
+    this._fragments = [];
+
+    socket.on("data", (chunk) => this.#handleData(chunk));
+    socket.on("close", () => this.#finish(1006, "connection lost"));
+    socket.on("error", (error) => this.emit("error", error));
+  }
+
+  send(text) {
+    if (!this.open) return false;
+    this.socket.write(encodeFrame(OPCODES.text, Buffer.from(String(text))));
+    return true;
+  }
+
+  sendJSON(message) {
+    return this.send(JSON.stringify(message));
+  }
+
+  close(code = 1000, reason = "") {
+    if (!this.open) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.end(encodeFrame(OPCODES.close, payload));
+    this.#finish(code, reason);
+  }
+
+  // Drops the TCP connection without a close handshake, like a network
+  // failure would.
+  terminate() {
+    this.socket.destroy();
+    this.#finish(1006, "terminated");
+  }
+
+  #handleData(chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+    try {
+      let decoded = decodeFrame(this._buffer);
+      while (decoded) {
+        this._buffer = decoded.rest;
+        this.#handleFrame(decoded.frame);
+        decoded = this.open ? decodeFrame(this._buffer) : null;
+      }
+    } catch (error) {
+      this.emit("error", error);
+      this.close(1009, "frame too large");
+    }
+  }
+
+  #handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.text:
+      case OPCODES.continuation:
+        this._fragments.push(payload);
+        if (fin) {
+          const text = Buffer.concat(this._fragments).toString("utf8");
+          this._fragments = [];
+          this.emit("message", text);
+        }
+        break;
+      case OPCODES.ping:
+        this.socket.write(encodeFrame(OPCODES.pong, payload));
+        break;
+      case OPCODES.close: {
+        const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+        this.close(code, payload.subarray(2).toString("utf8"));
+        break;
+      }
+      case OPCODES.binary:
+        this.close(1003, "binary frames are not supported");
+        break;
+      default:
+        break;
+    }
+  }
+
+  #finish(code, reason) {
+    if (!this.open) return;
+    this.open = false;
+    this.emit("close", { code, reason });
+  }
+}
+
+/**
+ * Starts an HTTP server that accepts WebSocket upgrades on any path and calls
+ * `onConnection(connection)` for each client. Returns the `http.Server`.
+ */
+export function createWebSocketServer({ port, host, onConnection } = {}) {
+  const server = createServer((req, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain" });
+    res.end("WebSocket connections only\n");
+  });
+
+  server.on("upgrade", (request, socket) => {
+    const key = request.headers["sec-websocket-key"];
+    if (!key || request.headers.upgrade?.toLowerCase() !== "websocket") {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    const accept = createHash("sha1")
+      .update(key + HANDSHAKE_GUID)
+      .digest("base64");
+    socket.write(
+      [
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${accept}`,
+        "",
+        "",
+      ].join("\r\n")
+    );
+    socket.setNoDelay(true);
+    onConnection?.(new WebSocketConnection(socket, request));
+  });
+
+  server.listen(port, host);
+  return server;
+}
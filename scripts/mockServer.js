@@ -0,0 +1,182 @@
+// Local mock backend that implements the whole relay protocol over
+// WebSocket: bets, round dealing, the wallet, manual and auto rounds, cashout
+// and profit updates. Lets the client run outside demo mode without a real
+// server.
+// Usage: node scripts/mockServer.js [--port=8787] [--balance=1000]
+//        [--config=<game-config.json>] [--grid=3|4x4|3x5]
+//        [--rules=<win-rules.json>]
+//        [--server-seed=<seed>] [--client-seed=<seed>]
+//        [--min-bet=<amount>] [--max-bet=<amount>] [--quiet]
+// The game config (src/config/demoGameConfig.json unless `--config` is
+// given) is sent to every client on connect; `--grid`, `--rules` and the bet
+// limit flags override it. Open the game with `?relay=ws://localhost:8787`. All connections play the
+// same session, so the balance and an unfinished round survive reloads and
+// reconnects. Type `error <code> [fatal|retryable]` on stdin to push an
+// `error` message to every client, e.g. `error session-expired`.
+
+import { readFileSync } from "node:fs";
+import { createInterface } from "node:readline";
+import { createWebSocketServer } from "./lib/webSocketServer.js";
+import {
+  DEFAULT_GAME_CONFIG,
+  resolveGameConfig,
+} from "../src/config/gameConfig.js";
+import { FairnessSession } from "../src/fairness/fairRng.js";
+import { resolveGridSize } from "../src/game/gridConfig.js";
+import { MockGameSession } from "../src/mockServer/mockGameSession.js";
+import {
+  HEARTBEAT_PING,
+  HEARTBEAT_PONG,
+} from "../src/transport/webSocketTransport.js";
+import { DEMO_STARTING_BALANCE, Wallet } from "../src/wallet/wallet.js";
+
+function parseArgs(argv) {
+  const args = {};
+  for (const raw of argv) {
+    const match = raw.match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) continue;
+    const [, key, value] = match;
+    args[key] = value ?? true;
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const port = Math.floor(Number(args.port) || 8787);
+const quiet = Boolean(args.quiet);
+function readJSON(path) {
+  return JSON.parse(readFileSync(path, "utf8"));
+}
+
+const baseConfig = resolveGameConfig(
+  typeof args.config === "string" ? readJSON(args.config) : DEFAULT_GAME_CONFIG
+);
+const gridSize = resolveGridSize(
+  typeof args.grid === "string" ? args.grid : baseConfig.grid
+);
+const winRulesConfig =
+  typeof args.rules === "string" ? readJSON(args.rules) : baseConfig.winRules;
+const minBet =
+  args["min-bet"] != null ? Number(args["min-bet"]) : baseConfig.betLimits.min;
+const maxBet =
+  args["max-bet"] != null ? Number(args["max-bet"]) : baseConfig.betLimits.max;
+const gameConfig = {
+  ...baseConfig,
+  grid: gridSize,
+  winRules: winRulesConfig,
+  betLimits: { min: minBet, max: maxBet },
+};
+
+const wallet = new Wallet({
+  balance: args.balance != null ? Number(args.balance) : DEMO_STARTING_BALANCE,
+});
+const fairness = new FairnessSession({
+  serverSeed:
+    typeof args["server-seed"] === "string" ? args["server-seed"] : undefined,
+  clientSeed:
+    typeof args["client-seed"] === "string" ? args["client-seed"] : undefined,
+});
+const session = new MockGameSession({
+  wallet,
+  fairness,
+  gridSize,
+  paytableConfig: baseConfig.paytable,
+  winRulesConfig,
+  minBet,
+  maxBet: maxBet ?? Infinity,
+  config: gameConfig,
+});
+const clients = new Set();
+let nextClientId = 1;
+
+function log(...parts) {
+  console.log(new Date().toISOString().slice(11, 23), ...parts);
+}
+
+function logTraffic(...parts) {
+  if (!quiet) log(...parts);
+}
+
+session.addEventListener("message", (event) => {
+  const message = event.detail;
+  logTraffic("<-", message.type, JSON.stringify(message.payload));
+  for (const connection of clients) {
+    connection.sendJSON(message);
+  }
+});
+session.addEventListener("rejected", (event) => {
+  const { type, code, errors } = event.detail;
+  log(`rejected ${type}${code ? ` (${code})` : ""}: ${errors.join("; ")}`);
+});
+session.addEventListener("settled", (event) => {
+  const { roundId, bet, multiplier, payout, balance } = event.detail;
+  log(
+    `${roundId} settled: bet ${bet}, ${multiplier}x, ` +
+      `payout ${payout}, balance ${balance}`
+  );
+});
+
+const server = createWebSocketServer({
+  port,
+  onConnection(connection) {
+    const id = nextClientId++;
+    clients.add(connection);
+    log(`#${id} connected from ${connection.request.socket.remoteAddress}`);
+
+    connection.on("message", (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        log(`#${id} sent malformed frame`, text);
+        return;
+      }
+      if (message?.type === HEARTBEAT_PING) {
+        connection.sendJSON({
+          type: HEARTBEAT_PONG,
+          payload: message.payload ?? {},
+        });
+        return;
+      }
+      if (message?.type === HEARTBEAT_PONG) return;
+      logTraffic(`#${id} ->`, message?.type, JSON.stringify(message?.payload));
+      session.receive(message ?? {});
+    });
+    connection.on("close", ({ code, reason }) => {
+      clients.delete(connection);
+      log(`#${id} closed (${code}${reason ? ` ${reason}` : ""})`);
+    });
+    connection.on("error", (error) => log(`#${id} error`, error.message));
+
+    session.sendConfig();
+    session.sendBalance();
+    session.sendRoundState();
+  },
+});
+
+server.on("listening", () => {
+  log(`Mock game server listening on ws://localhost:${port}`);
+  log(
+    `balance ${wallet.balance}, server seed hash ${fairness.serverSeedHash}, ` +
+      `client seed ${fairness.clientSeed}`
+  );
+});
+
+createInterface({ input: process.stdin }).on("line", (line) => {
+  const [command, code, ...flags] = line.trim().split(/\s+/);
+  if (command !== "error" || !code) {
+    if (command) log(`unknown command '${line.trim()}'`);
+    return;
+  }
+  session.sendError(code, {
+    fatal: flags.includes("fatal") || undefined,
+    retryable: flags.includes("retryable") || undefined,
+  });
+});
+
+process.on("SIGINT", () => {
+  for (const connection of clients) {
+    connection.close(1001, "mock server shutting down");
+  }
+  server.close(() => process.exit(0));
+});
@@ -0,0 +1,117 @@
+// Local WebSocket stand-in for the relay backend, used to exercise the
+// client's WebSocket transport (reconnect, heartbeat, offline queue).
+// Usage: node scripts/relayStandIn.js [--port=8787] [--drop-every=<ms>]
+//        [--no-pong] [--echo]
+// Open the game with `?relay=ws://localhost:8787`. Lines typed on stdin as
+// `<type> [json-payload]` are delivered to every connected client.
+
+import { createInterface } from "node:readline";
+import { createWebSocketServer } from "./lib/webSocketServer.js";
+import {
+  HEARTBEAT_PING,
+  HEARTBEAT_PONG,
+} from "../src/transport/webSocketTransport.js";
+
+function parseArgs(argv) {
+  const args = {};
+  for (const raw of argv) {
+    const match = raw.match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) continue;
+    const [, key, value] = match;
+    args[key] = value ?? true;
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const port = Math.floor(Number(args.port) || 8787);
+const dropEveryMs = Math.max(0, Number(args["drop-every"]) || 0);
+const answerPings = !args["no-pong"];
+const echo = Boolean(args.echo);
+
+const clients = new Set();
+let nextClientId = 1;
+
+function log(...parts) {
+  console.log(new Date().toISOString().slice(11, 23), ...parts);
+}
+
+const server = createWebSocketServer({
+  port,
+  onConnection(connection) {
+    const id = nextClientId++;
+    clients.add(connection);
+    log(`#${id} connected from ${connection.request.socket.remoteAddress}`);
+
+    connection.on("message", (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        log(`#${id} sent malformed frame`, text);
+        return;
+      }
+      if (message?.type === HEARTBEAT_PING) {
+        if (answerPings) {
+          connection.sendJSON({
+            type: HEARTBEAT_PONG,
+            payload: message.payload ?? {},
+          });
+        }
+        return;
+      }
+      log(`#${id} ->`, message?.type, JSON.stringify(message?.payload ?? {}));
+      if (echo) {
+        connection.sendJSON(message);
+      }
+    });
+    connection.on("close", ({ code, reason }) => {
+      clients.delete(connection);
+      log(`#${id} closed (${code}${reason ? ` ${reason}` : ""})`);
+    });
+    connection.on("error", (error) => log(`#${id} error`, error.message));
+  },
+});
+
+server.on("listening", () => {
+  log(`Relay stand-in listening on ws://localhost:${port}`);
+  log(
+    `heartbeat replies ${answerPings ? "on" : "off"}` +
+      (dropEveryMs > 0 ? `, dropping clients every ${dropEveryMs}ms` : "")
+  );
+});
+
+if (dropEveryMs > 0) {
+  setInterval(() => {
+    for (const connection of clients) {
+      connection.terminate();
+    }
+  }, dropEveryMs);
+}
+
+const input = createInterface({ input: process.stdin });
+input.on("line", (line) => {
+  const match = line.trim().match(/^(\S+)(?:\s+(.*))?$/);
+  if (!match) return;
+  const [, type, rawPayload] = match;
+  let payload = {};
+  if (rawPayload) {
+    try {
+      payload = JSON.parse(rawPayload);
+    } catch (error) {
+      log("Invalid JSON payload:", error.message);
+      return;
+    }
+  }
+  for (const connection of clients) {
+    connection.sendJSON({ type, payload });
+  }
+  log(`<- ${type} to ${clients.size} client(s)`);
+});
+
+process.on("SIGINT", () => {
+  for (const connection of clients) {
+    connection.close(1001, "stand-in shutting down");
+  }
+  server.close(() => process.exit(0));
+});
@@ -0,0 +1,103 @@
+// Headless RTP / volatility simulation for the scratch card round generator.
+// Usage: node scripts/simulate.js [--rounds=1000000] [--rng=fair|math]
+//        [--max-rtp=1]
+//        [--config=<game-config.json>] [--grid=3|4x4|3x5]
+//        [--rules=<win-rules.json>]
+//        [--server-seed=<seed>] [--client-seed=<seed>] [--json]
+// The grid, paytable and win rules come from src/config/demoGameConfig.json
+// unless `--config` names another game config; `--grid` and `--rules`
+// override single parts of it. Exits non-zero when a round fails
+// verification or the RTP reaches `--max-rtp` (default 1, i.e. 100%).
+
+import { readFileSync } from "node:fs";
+import { resolveGameConfig } from "../src/config/gameConfig.js";
+import { resolveGridSize } from "../src/game/gridConfig.js";
+import { simulateRounds } from "../src/simulation/simulator.js";
+
+function parseArgs(argv) {
+  const args = {};
+  for (const raw of argv) {
+    const match = raw.match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) continue;
+    const [, key, value] = match;
+    args[key] = value ?? true;
+  }
+  return args;
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(4)}%`;
+}
+
+function readJSON(path) {
+  return JSON.parse(readFileSync(path, "utf8"));
+}
+
+const args = parseArgs(process.argv.slice(2));
+const gameConfig = resolveGameConfig(
+  typeof args.config === "string" ? readJSON(args.config) : undefined
+);
+const rounds = Math.max(1, Math.floor(Number(args.rounds) || 100000));
+const maxRtp = args["max-rtp"] != null ? Number(args["max-rtp"]) : 1;
+const startedAt = Date.now();
+
+const report = simulateRounds({
+  rounds,
+  rng: args.rng === "math" ? "math" : "fair",
+  gridSize: resolveGridSize(
+    typeof args.grid === "string" ? args.grid : gameConfig.grid
+  ),
+  paytableConfig: gameConfig.paytable,
+  winRulesConfig:
+    typeof args.rules === "string" ? readJSON(args.rules) : gameConfig.winRules,
+  serverSeed: typeof args["server-seed"] === "string" ? args["server-seed"] : undefined,
+  clientSeed: typeof args["client-seed"] === "string" ? args["client-seed"] : undefined,
+  onProgress: args.json
+    ? undefined
+    : (done, total) => process.stderr.write(`  ${done}/${total} rounds\r`),
+});
+
+if (args.json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  const elapsed = ((Date.now() - startedAt) / 1000).toFixed(1);
+  console.log(`\nRounds simulated:      ${report.rounds} (${report.rng} rng, ${elapsed}s)`);
+  console.log(
+    `Board:                 ${report.gridSize.rows}x${report.gridSize.cols}, ${report.matchCount} to win`
+  );
+  console.log(`RTP:                   ${formatPercent(report.rtp)}`);
+  console.log(`Hit frequency:         ${formatPercent(report.hitFrequency)}`);
+  console.log(`Standard deviation:    ${report.standardDeviation.toFixed(4)}`);
+  console.log(`Longest losing streak: ${report.longestLosingStreak}`);
+  console.log(`Multi-symbol wins:     ${report.multiSymbolWins}`);
+  console.log(`Max multiplier:        ${report.maxMultiplier}×`);
+  console.log(`Inconsistent rounds:   ${report.inconsistentRounds}`);
+  console.log("\nWinning symbol distribution:");
+  console.table(
+    Object.fromEntries(
+      Object.entries(report.winningSymbolDistribution).map(([key, entry]) => [
+        key,
+        { wins: entry.count, share: formatPercent(entry.share) },
+      ])
+    )
+  );
+  console.log("Symbol distribution (all cards):");
+  console.table(
+    Object.fromEntries(
+      Object.entries(report.symbolDistribution).map(([key, entry]) => [
+        key,
+        { cards: entry.count, share: formatPercent(entry.share) },
+      ])
+    )
+  );
+}
+
+if (report.inconsistentRounds > 0) {
+  process.exitCode = 1;
+}
+if (report.rtp >= maxRtp) {
+  console.error(
+    `RTP ${formatPercent(report.rtp)} is not below ${formatPercent(maxRtp)}`
+  );
+  process.exitCode = 1;
+}
@@ -0,0 +1,134 @@
+import { getStrategyPreset } from "./strategyPresets.js";
+
+export const CUSTOM_STRATEGY = "custom";
+export const SCRIPT_STRATEGY = "script";
+
+const AMOUNT_DECIMALS = 8;
+
+function roundAmount(value) {
+  const factor = 10 ** AMOUNT_DECIMALS;
+  return Math.round(value * factor) / factor;
+}
+
+function toNonNegative(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? Math.max(0, numeric) : 0;
+}
+
+function normalizeAdjustment(adjustment) {
+  return {
+    mode: adjustment?.mode === "increase" ? "increase" : "reset",
+    percentage: toNonNegative(adjustment?.percentage),
+  };
+}
+
+/**
+ * Applies the auto-bet strategy between rounds and tracks the session's net
+ * profit against the stop limits. A limit of 0 is disabled.
+ *
+ * `strategy` is "custom" for the "On Win" / "On Loss" rules, a preset key
+ * from `STRATEGY_PRESETS`, or "script" together with a compiled `script`
+ * (see `compileStrategyScript`).
+ */
+export class AutoBetStrategy {
+  constructor() {
+    this.start({});
+  }
+
+  start({
+    baseBet,
+    strategy = CUSTOM_STRATEGY,
+    script = null,
+    onWin,
+    onLoss,
+    stopOnProfit,
+    stopOnLoss,
+  } = {}) {
+    this.baseBet = roundAmount(toNonNegative(baseBet));
+    this.currentBet = this.baseBet;
+    this.onWin = normalizeAdjustment(onWin);
+    this.onLoss = normalizeAdjustment(onLoss);
+    this.stopOnProfit = toNonNegative(stopOnProfit);
+    this.stopOnLoss = toNonNegative(stopOnLoss);
+    this.netProfit = 0;
+    this.rounds = 0;
+    this.streak = 0;
+
+    this.dispose();
+    const source =
+      strategy === SCRIPT_STRATEGY ? script : getStrategyPreset(strategy);
+    this.strategy = source ? strategy : CUSTOM_STRATEGY;
+    this.onRoundEnd = source ? source.create(this.baseBet) : null;
+  }
+
+  /** Stops the running strategy script's worker, if there is one. */
+  dispose() {
+    this.onRoundEnd?.dispose?.();
+  }
+
+  /**
+   * Records a finished round and resolves with the bet for the next one, plus
+   * the stop reason when a limit was reached or the strategy asked to stop.
+   * Errors thrown by a script stop the session with `error` set.
+   */
+  async recordRound({ bet = this.currentBet, payout = 0 } = {}) {
+    const stake = toNonNegative(bet);
+    const returned = toNonNegative(payout);
+    const won = returned > 0;
+    const profit = roundAmount(returned - stake);
+    this.rounds += 1;
+    this.netProfit = roundAmount(this.netProfit + profit);
+    this.streak = won
+      ? Math.max(0, this.streak) + 1
+      : Math.min(0, this.streak) - 1;
+
+    let stopReason = null;
+    let error = null;
+    if (this.onRoundEnd) {
+      try {
+        const next = await this.onRoundEnd({
+          won,
+          profit,
+          bet: stake,
+          streak: this.streak,
+          baseBet: this.baseBet,
+          netProfit: this.netProfit,
+          rounds: this.rounds,
+        });
+        if (next === "stop") {
+          stopReason = "strategy";
+        } else {
+          this.currentBet = roundAmount(toNonNegative(next));
+        }
+      } catch (caught) {
+        error = caught;
+        stopReason = "strategy-error";
+      }
+    } else {
+      const adjustment = won ? this.onWin : this.onLoss;
+      this.currentBet =
+        adjustment.mode === "increase"
+          ? roundAmount(stake * (1 + adjustment.percentage / 100))
+          : this.baseBet;
+    }
+
+    if (!stopReason) {
+      if (this.stopOnProfit > 0 && this.netProfit >= this.stopOnProfit) {
+        stopReason = "stop-on-profit";
+      } else if (this.stopOnLoss > 0 && -this.netProfit >= this.stopOnLoss) {
+        stopReason = "stop-on-loss";
+      }
+    }
+
+    return {
+      strategy: this.strategy,
+      won,
+      bet: stake,
+      nextBet: this.currentBet,
+      netProfit: this.netProfit,
+      streak: this.streak,
+      stopReason,
+      error,
+    };
+  }
+}
@@ -0,0 +1,58 @@
+// Built-in auto-bet strategies. Each `create(baseBet)` returns an
+// `onRoundEnd(context)` handler with the same contract as user scripts: it
+// receives `{ won, profit, bet, streak, baseBet, netProfit, rounds }` and
+// returns the next bet or "stop".
+const PAROLI_MAX_WINS = 3;
+
+function fibonacci(index) {
+  let previous = 0;
+  let current = 1;
+  for (let i = 0; i < index; i += 1) {
+    [previous, current] = [current, previous + current];
+  }
+  return current;
+}
+
+export const STRATEGY_PRESETS = {
+  martingale: {
+    label: "Martingale",
+    description: "Double the bet after a loss, reset after a win.",
+    create(baseBet) {
+      return ({ won, bet }) => (won ? baseBet : bet * 2);
+    },
+  },
+  dalembert: {
+    label: "D'Alembert",
+    description: "Add one unit after a loss, remove one after a win.",
+    create(baseBet) {
+      return ({ won, bet }) =>
+        won ? Math.max(baseBet, bet - baseBet) : bet + baseBet;
+    },
+  },
+  paroli: {
+    label: "Paroli",
+    description: `Double the bet after a win for up to ${PAROLI_MAX_WINS} wins, reset after a loss.`,
+    create(baseBet) {
+      return ({ won, bet, streak }) =>
+        won && streak < PAROLI_MAX_WINS ? bet * 2 : baseBet;
+    },
+  },
+  fibonacci: {
+    label: "Fibonacci",
+    description:
+      "Move one step up the Fibonacci sequence after a loss, two down after a win.",
+    create(baseBet) {
+      let step = 0;
+      return ({ won }) => {
+        step = won ? Math.max(0, step - 2) : step + 1;
+        return baseBet * fibonacci(step);
+      };
+    },
+  },
+};
+
+export function getStrategyPreset(key) {
+  return Object.prototype.hasOwnProperty.call(STRATEGY_PRESETS, key)
+    ? STRATEGY_PRESETS[key]
+    : null;
+}
@@ -0,0 +1,149 @@
+export const MAX_SCRIPT_LENGTH = 4000;
+
+// How long a script may take to load or to answer one round before its
+// worker is terminated.
+export const SCRIPT_TIMEOUT_MS = 1000;
+
+const SAMPLE_CONTEXT = {
+  won: false,
+  profit: -1,
+  bet: 1,
+  streak: -1,
+  baseBet: 1,
+  netProfit: -1,
+  rounds: 1,
+};
+
+export class StrategyScriptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StrategyScriptError";
+  }
+}
+
+function assertResult(result) {
+  if (result === "stop") return result;
+  const numeric = Number(result);
+  if (typeof result !== "number" || !Number.isFinite(numeric) || numeric < 0) {
+    throw new StrategyScriptError(
+      `onRoundEnd must return a bet of 0 or more, or "stop" (got ${String(
+        result
+      )})`
+    );
+  }
+  return numeric;
+}
+
+/**
+ * One dedicated worker running a single copy of a script. Calls are answered
+ * in order; a call that outlives `timeoutMs` terminates the worker, so an
+ * endless loop costs the session rather than the tab.
+ */
+class StrategyWorker {
+  constructor(timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.nextId = 0;
+    this.pending = new Map();
+    this.worker = new Worker(new URL("./strategyWorker.js", import.meta.url), {
+      type: "module",
+    });
+    this.worker.addEventListener("message", ({ data }) => {
+      const entry = this.pending.get(data?.id);
+      if (!entry) return;
+      this.#settle(data.id);
+      if (data.error != null) {
+        entry.reject(new StrategyScriptError(data.error));
+      } else {
+        entry.resolve(data.result);
+      }
+    });
+    this.worker.addEventListener("error", (event) => {
+      event.preventDefault?.();
+      this.terminate(`Script failed: ${event.message ?? "worker error"}`);
+    });
+  }
+
+  call(message) {
+    if (!this.worker) {
+      return Promise.reject(new StrategyScriptError("The script was stopped"));
+    }
+    const id = ++this.nextId;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.terminate(
+          `The script took longer than ${this.timeoutMs} ms and was stopped`
+        );
+      }, this.timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      this.worker.postMessage({ ...message, id });
+    });
+  }
+
+  terminate(reason = "The script was stopped") {
+    this.worker?.terminate();
+    this.worker = null;
+    for (const id of [...this.pending.keys()]) {
+      const entry = this.pending.get(id);
+      this.#settle(id);
+      entry.reject(new StrategyScriptError(reason));
+    }
+  }
+
+  #settle(id) {
+    clearTimeout(this.pending.get(id)?.timer);
+    this.pending.delete(id);
+  }
+}
+
+function createRunner(source, timeoutMs) {
+  const worker = new StrategyWorker(timeoutMs);
+  const loaded = worker.call({ type: "load", source });
+  loaded.catch(() => {});
+  const onRoundEnd = async (context) => {
+    await loaded;
+    return assertResult(
+      await worker.call({ type: "run", context: { ...context } })
+    );
+  };
+  onRoundEnd.dispose = () => worker.terminate();
+  return onRoundEnd;
+}
+
+/**
+ * Compiles a user strategy script. The script must declare
+ * `function onRoundEnd({ won, profit, bet, streak, baseBet, netProfit,
+ * rounds })` returning the next bet or "stop". `streak` is positive for
+ * consecutive wins and negative for consecutive losses.
+ *
+ * Resolves to `{ create }`, shaped like a preset: every `create()` starts the
+ * script in its own Worker and returns an async `onRoundEnd(context)` with a
+ * `dispose()` that terminates it. The script only ever receives the round
+ * context and gets `timeoutMs` per call. It is checked against a sample round
+ * first; rejects with `StrategyScriptError` when the script is invalid.
+ */
+export async function compileStrategyScript(
+  source,
+  { timeoutMs = SCRIPT_TIMEOUT_MS } = {}
+) {
+  const text = String(source ?? "");
+  if (!text.trim()) {
+    throw new StrategyScriptError("The script is empty");
+  }
+  if (text.length > MAX_SCRIPT_LENGTH) {
+    throw new StrategyScriptError(
+      `Scripts are limited to ${MAX_SCRIPT_LENGTH} characters`
+    );
+  }
+
+  const script = { create: () => createRunner(text, timeoutMs) };
+
+  // Dry run so obvious mistakes surface when the script is applied rather
+  // than mid-session.
+  const dryRun = script.create();
+  try {
+    await dryRun(SAMPLE_CONTEXT);
+  } finally {
+    dryRun.dispose();
+  }
+  return script;
+}
@@ -0,0 +1,85 @@
+// Runs one user strategy script away from the page. The worker never sees the
+// game state; it receives the script source once ("load") and then one round
+// context per "run", and answers each with `{ id, result }` or `{ id, error }`.
+const reply = self.postMessage.bind(self);
+
+// Network and storage APIs a script has no use for.
+const BLOCKED_GLOBALS = [
+  "fetch",
+  "XMLHttpRequest",
+  "WebSocket",
+  "EventSource",
+  "indexedDB",
+  "caches",
+  "importScripts",
+  "Worker",
+  "postMessage",
+];
+
+// Browsers define most of these on the WorkerGlobalScope prototypes rather
+// than on `self`, so each object on the chain loses its own copy. The
+// prototypes between `self` and Object.prototype are then frozen so a script
+// cannot put anything back before the next round.
+for (
+  let scope = self;
+  scope && scope !== Object.prototype;
+  scope = Object.getPrototypeOf(scope)
+) {
+  for (const name of BLOCKED_GLOBALS) {
+    if (!Object.prototype.hasOwnProperty.call(scope, name)) continue;
+    if (!Reflect.deleteProperty(scope, name)) {
+      Object.defineProperty(scope, name, { value: undefined });
+    }
+  }
+  if (scope !== self) {
+    Object.freeze(scope);
+  }
+}
+
+let onRoundEnd = null;
+
+function load(source) {
+  let factory;
+  try {
+    factory = new Function(
+      `"use strict";\n${source}\nreturn typeof onRoundEnd === "function" ? onRoundEnd : null;`
+    );
+  } catch (error) {
+    throw new Error(`Syntax error: ${error.message}`);
+  }
+  try {
+    onRoundEnd = factory.call(undefined);
+  } catch (error) {
+    throw new Error(`Script failed: ${error.message}`);
+  }
+  if (!onRoundEnd) {
+    throw new Error("The script must define onRoundEnd()");
+  }
+}
+
+function run(context) {
+  let result;
+  try {
+    result = onRoundEnd(Object.freeze(context));
+  } catch (error) {
+    throw new Error(`onRoundEnd failed: ${error.message}`);
+  }
+  // Only plain values cross back; anything else is reported as text.
+  return typeof result === "number" || typeof result === "string"
+    ? result
+    : String(result);
+}
+
+self.addEventListener("message", ({ data }) => {
+  const { id, type, source, context } = data ?? {};
+  try {
+    if (type === "load") {
+      load(source);
+      reply({ id, result: null });
+    } else {
+      reply({ id, result: run(context) });
+    }
+  } catch (error) {
+    reply({ id, error: error.message });
+  }
+});
@@ -0,0 +1,97 @@
+import demoGameConfig from "./demoGameConfig.json" with { type: "json" };
+
+// Everything an operator may change per deployment. Real mode receives it in
+// the `config` relay message before the game is created; demo mode plays
+// demoGameConfig.json, which also supplies the defaults for fields a config
+// leaves out.
+//   animations  durations in ms, passed to createGame under the same names
+//               (autoResetDelayMs is the pause between auto rounds)
+//   betLimits   `max: null` means no upper limit
+//   currency    `symbol` prefixes fiat amounts, `iconUrl` replaces the coin
+//               icon next to crypto amounts
+//   features    switch off auto play, the strategy script editor or the bet
+//               history and session stats panels; `scratch` (off by default)
+//               lets players scratch cards open as well as tap them
+export const DEFAULT_GAME_CONFIG = demoGameConfig;
+
+function pickNumbers(source, defaults, { min = 0 } = {}) {
+  const result = { ...defaults };
+  for (const key of Object.keys(defaults)) {
+    const value = Number(source?.[key]);
+    if (source?.[key] != null && Number.isFinite(value)) {
+      result[key] = Math.max(min, value);
+    }
+  }
+  return result;
+}
+
+function pickBooleans(source, defaults) {
+  const result = { ...defaults };
+  for (const key of Object.keys(defaults)) {
+    if (typeof source?.[key] === "boolean") {
+      result[key] = source[key];
+    }
+  }
+  return result;
+}
+
+function resolveBetLimits(limits) {
+  const min = Number(limits?.min);
+  const max = limits?.max == null ? null : Number(limits.max);
+  const resolvedMin = Number.isFinite(min) && min > 0 ? min : 0;
+  return {
+    min: resolvedMin,
+    max: Number.isFinite(max) && max >= resolvedMin ? max : null,
+  };
+}
+
+/**
+ * Fills a (possibly partial) operator config with the defaults and drops
+ * values of the wrong type, so the result can be used without further checks.
+ */
+export function resolveGameConfig(config = {}) {
+  const source = config && typeof config === "object" ? config : {};
+  const defaults = DEFAULT_GAME_CONFIG;
+  const currency = source.currency ?? {};
+  return {
+    gameName:
+      typeof source.gameName === "string" && source.gameName.trim()
+        ? source.gameName.trim()
+        : defaults.gameName,
+    grid: source.grid ?? defaults.grid,
+    animations: pickNumbers(source.animations, defaults.animations),
+    betLimits: resolveBetLimits(source.betLimits ?? defaults.betLimits),
+    currency: {
+      code:
+        typeof currency.code === "string"
+          ? currency.code
+          : defaults.currency.code,
+      symbol:
+        typeof currency.symbol === "string"
+          ? currency.symbol
+          : defaults.currency.symbol,
+      iconUrl:
+        typeof currency.iconUrl === "string" && currency.iconUrl
+          ? currency.iconUrl
+          : defaults.currency.iconUrl,
+    },
+    paytable:
+      source.paytable && typeof source.paytable === "object"
+        ? source.paytable
+        : defaults.paytable,
+    winRules: source.winRules ?? defaults.winRules,
+    features: pickBooleans(source.features, defaults.features),
+  };
+}
+
+/** Returns a message when `amount` is outside `betLimits`, otherwise null. */
+export function describeBetLimitViolation(amount, betLimits) {
+  const { min = 0, max = null } = betLimits ?? {};
+  if (amount < min) {
+    return `The minimum bet is ${min.toFixed(8)}`;
+  }
+  if (max != null && amount > max) {
+    return `The maximum bet is ${max.toFixed(8)}`;
+  }
+  return null;
+}
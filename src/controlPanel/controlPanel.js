@@ -24,17 +24,25 @@ function clampToZero(value) {
 export class ControlPanel extends EventTarget {
   constructor(mount, options = {}) {
     super();
+    const currencySymbol = options.currencySymbol ?? "$";
     this.options = {
       betAmountLabel: options.betAmountLabel ?? "Bet Amount",
+      balanceLabel: options.balanceLabel ?? "Balance",
+      initialBalance: options.initialBalance ?? "0.00000000",
       profitOnWinLabel: options.profitOnWinLabel ?? "Profit on Win",
       initialTotalProfitMultiplier:
         options.initialTotalProfitMultiplier ?? 1,
       initialBetValue: options.initialBetValue ?? "0.00000000",
-      initialBetAmountDisplay: options.initialBetAmountDisplay ?? "$0.00",
-      initialProfitOnWinDisplay: options.initialProfitOnWinDisplay ?? "$0.00",
+      initialBetAmountDisplay:
+        options.initialBetAmountDisplay ?? `${currencySymbol}0.00`,
+      initialProfitOnWinDisplay:
+        options.initialProfitOnWinDisplay ?? `${currencySymbol}0.00`,
       initialProfitValue: options.initialProfitValue ?? "0.00000000",
       initialMode: options.initialMode ?? "manual",
       gameName: options.gameName ?? "Game Name",
+      currencySymbol,
+      currencyIconUrl: options.currencyIconUrl ?? bitcoinIconUrl,
+      autoModeEnabled: options.autoModeEnabled ?? true,
       minesLabel: options.minesLabel ?? "Mines",
       gemsLabel: options.gemsLabel ?? "Gems",
       animationsLabel: options.animationsLabel ?? "Animations",
@@ -43,6 +51,9 @@ export class ControlPanel extends EventTarget {
       initialAnimationsEnabled:
         options.initialAnimationsEnabled ?? true,
       initialMines: options.initialMines ?? 1,
+      strategyOptions: options.strategyOptions ?? [
+        { value: "custom", label: "Custom" },
+      ],
       maxMines: options.maxMines,
       totalTiles: options.totalTiles,
     };
@@ -50,7 +61,10 @@ export class ControlPanel extends EventTarget {
     this.host = resolveMount(mount);
     this.host.innerHTML = "";
 
-    this.mode = this.options.initialMode === "auto" ? "auto" : "manual";
+    this.mode =
+      this.options.initialMode === "auto" && this.options.autoModeEnabled
+        ? "auto"
+        : "manual";
 
     this.animationsEnabled = Boolean(this.options.initialAnimationsEnabled);
 
@@ -98,11 +112,13 @@ export class ControlPanel extends EventTarget {
     this.container.appendChild(this.scrollContainer);
 
     this.buildToggle();
+    this.buildBalanceDisplay();
     this.buildBetAmountDisplay();
     this.buildBetControls();
     this.buildModeSections();
     this.buildFooter();
 
+    this.setBalance(this.options.initialBalance);
     this.setBetAmountDisplay(this.options.initialBetAmountDisplay);
     this.setProfitOnWinDisplay(this.options.initialProfitOnWinDisplay);
     this.setTotalProfitMultiplier(this.options.initialTotalProfitMultiplier);
@@ -135,11 +151,28 @@ export class ControlPanel extends EventTarget {
     this.autoButton.className = "control-toggle-btn";
     this.autoButton.textContent = "Auto";
     this.autoButton.addEventListener("click", () => this.setMode("auto"));
+    this.autoButton.hidden = !this.options.autoModeEnabled;
 
     this.toggleWrapper.append(this.manualButton, this.autoButton);
     this.scrollContainer.appendChild(this.toggleWrapper);
   }
 
+  buildBalanceDisplay() {
+    const row = document.createElement("div");
+    row.className = "control-row";
+
+    const label = document.createElement("span");
+    label.className = "control-row-label";
+    label.textContent = this.options.balanceLabel;
+    row.appendChild(label);
+
+    this.balanceValue = document.createElement("span");
+    this.balanceValue.className = "control-row-value control-balance-value";
+    row.appendChild(this.balanceValue);
+
+    this.scrollContainer.appendChild(row);
+  }
+
   buildBetAmountDisplay() {
     const row = document.createElement("div");
     row.className = "control-row";
@@ -188,7 +221,7 @@ export class ControlPanel extends EventTarget {
     this.betInputWrapper.appendChild(this.betInput);
 
     const icon = document.createElement("img");
-    icon.src = bitcoinIconUrl;
+    icon.src = this.options.currencyIconUrl;
     icon.alt = "";
     icon.className = "control-bet-input-icon";
     this.betInputWrapper.appendChild(icon);
@@ -377,13 +410,19 @@ export class ControlPanel extends EventTarget {
     this.autoAdvancedContent.className = "auto-advanced-content";
     this.autoSection.appendChild(this.autoAdvancedContent);
 
-    this.autoAdvancedContent.appendChild(this.createSectionLabel("On Win"));
+    this.buildStrategySelect();
+
+    this.autoCustomStrategyContent = document.createElement("div");
+    this.autoCustomStrategyContent.className = "auto-advanced-content";
+    this.autoAdvancedContent.appendChild(this.autoCustomStrategyContent);
+
+    this.autoCustomStrategyContent.appendChild(this.createSectionLabel("On Win"));
     const onWinRow = this.createAdvancedStrategyRow("win");
-    this.autoAdvancedContent.appendChild(onWinRow);
+    this.autoCustomStrategyContent.appendChild(onWinRow);
 
-    this.autoAdvancedContent.appendChild(this.createSectionLabel("On Loss"));
+    this.autoCustomStrategyContent.appendChild(this.createSectionLabel("On Loss"));
     const onLossRow = this.createAdvancedStrategyRow("loss");
-    this.autoAdvancedContent.appendChild(onLossRow);
+    this.autoCustomStrategyContent.appendChild(onLossRow);
 
     const profitRow = document.createElement("div");
     profitRow.className = "auto-advanced-summary-row";
@@ -392,7 +431,7 @@ export class ControlPanel extends EventTarget {
     profitLabel.textContent = "Stop on Profit";
     const profitValue = document.createElement("span");
     profitValue.className = "auto-advanced-summary-value";
-    profitValue.textContent = "$0.00";
+    profitValue.textContent = `${this.options.currencySymbol}0.00`;
     profitRow.append(profitLabel, profitValue);
     this.autoAdvancedContent.appendChild(profitRow);
 
@@ -419,7 +458,7 @@ export class ControlPanel extends EventTarget {
     lossLabel.textContent = "Stop on Loss";
     const lossValue = document.createElement("span");
     lossValue.className = "auto-advanced-summary-value";
-    lossValue.textContent = "$0.00";
+    lossValue.textContent = `${this.options.currencySymbol}0.00`;
     lossRow.append(lossLabel, lossValue);
     this.autoAdvancedContent.appendChild(lossRow);
 
@@ -456,6 +495,93 @@ export class ControlPanel extends EventTarget {
     this.onWinMode = "reset";
     this.onLossMode = "reset";
     this.strategyControlsNonClickable = false;
+    this.updateStrategySelection();
+  }
+
+  buildStrategySelect() {
+    this.autoAdvancedContent.appendChild(this.createSectionLabel("Strategy"));
+
+    this.strategySelectWrapper = document.createElement("div");
+    this.strategySelectWrapper.className = "control-select-field";
+    this.autoAdvancedContent.appendChild(this.strategySelectWrapper);
+
+    this.strategySelect = document.createElement("select");
+    this.strategySelect.className = "control-select";
+    this.strategySelect.setAttribute("aria-label", "Strategy");
+    for (const option of this.options.strategyOptions) {
+      const element = document.createElement("option");
+      element.value = option.value;
+      element.textContent = option.label;
+      if (option.description) {
+        element.title = option.description;
+      }
+      this.strategySelect.appendChild(element);
+    }
+    this.strategySelect.addEventListener("change", () => {
+      this.updateStrategySelection();
+      this.dispatchEvent(
+        new CustomEvent("strategypresetchange", {
+          detail: { value: this.strategySelect.value },
+        })
+      );
+    });
+    this.strategySelectWrapper.appendChild(this.strategySelect);
+
+    const arrow = document.createElement("span");
+    arrow.className = "control-select-arrow";
+    arrow.setAttribute("aria-hidden", "true");
+    this.strategySelectWrapper.appendChild(arrow);
+
+    this.strategyScriptSection = document.createElement("div");
+    this.strategyScriptSection.className = "auto-strategy-script";
+    this.autoAdvancedContent.appendChild(this.strategyScriptSection);
+
+    this.strategyScriptInput = document.createElement("textarea");
+    this.strategyScriptInput.className = "auto-strategy-script-input";
+    this.strategyScriptInput.spellcheck = false;
+    this.strategyScriptInput.rows = 8;
+    this.strategyScriptInput.setAttribute("aria-label", "Strategy script");
+    this.strategyScriptInput.value = [
+      "function onRoundEnd({ won, bet, baseBet, streak }) {",
+      "  if (streak <= -10) return \"stop\";",
+      "  return won ? baseBet : bet * 2;",
+      "}",
+    ].join("\n");
+    this.strategyScriptSection.appendChild(this.strategyScriptInput);
+
+    this.strategyScriptApplyButton = document.createElement("button");
+    this.strategyScriptApplyButton.type = "button";
+    this.strategyScriptApplyButton.className = "auto-strategy-script-apply";
+    this.strategyScriptApplyButton.textContent = "Apply Script";
+    this.strategyScriptApplyButton.addEventListener("click", () => {
+      this.dispatchEvent(
+        new CustomEvent("strategyscriptapply", {
+          detail: { source: this.strategyScriptInput.value },
+        })
+      );
+    });
+    this.strategyScriptSection.appendChild(this.strategyScriptApplyButton);
+
+    this.strategyScriptStatus = document.createElement("div");
+    this.strategyScriptStatus.className = "auto-strategy-script-status";
+    this.strategyScriptStatus.setAttribute("role", "status");
+    this.strategyScriptSection.appendChild(this.strategyScriptStatus);
+  }
+
+  updateStrategySelection() {
+    const value = this.strategySelect?.value ?? "custom";
+    if (this.autoCustomStrategyContent) {
+      this.autoCustomStrategyContent.hidden = value !== "custom";
+    }
+    if (this.strategyScriptSection) {
+      this.strategyScriptSection.hidden = value !== "script";
+    }
+  }
+
+  setStrategyScriptStatus({ error = null, message = "" } = {}) {
+    if (!this.strategyScriptStatus) return;
+    this.strategyScriptStatus.textContent = error ?? message;
+    this.strategyScriptStatus.classList.toggle("is-error", Boolean(error));
   }
 
   createSectionLabel(text) {
@@ -592,7 +718,7 @@ export class ControlPanel extends EventTarget {
     wrapper.appendChild(input);
 
     const icon = document.createElement("img");
-    icon.src = bitcoinIconUrl;
+    icon.src = this.options.currencyIconUrl;
     icon.alt = "";
     icon.className = "control-bet-input-icon";
     wrapper.appendChild(icon);
@@ -764,7 +890,7 @@ export class ControlPanel extends EventTarget {
     this.profitBox.appendChild(this.profitValue);
 
     const icon = document.createElement("img");
-    icon.src = bitcoinIconUrl;
+    icon.src = this.options.currencyIconUrl;
     icon.alt = "";
     icon.className = "control-profit-icon";
     this.profitBox.appendChild(icon);
@@ -824,7 +950,8 @@ export class ControlPanel extends EventTarget {
   }
 
   setMode(mode) {
-    const normalized = mode === "auto" ? "auto" : "manual";
+    const normalized =
+      mode === "auto" && this.options.autoModeEnabled ? "auto" : "manual";
     if (this.mode === normalized) {
       return;
     }
@@ -1204,6 +1331,17 @@ export class ControlPanel extends EventTarget {
     return Number.isFinite(numeric) ? numeric : 0;
   }
 
+  setBalance(value) {
+    if (!this.balanceValue) return;
+    if (Number.isFinite(Number(value))) {
+      this.balanceValue.textContent = clampToZero(Number(value)).toFixed(8);
+    } else if (typeof value === "string") {
+      this.balanceValue.textContent = value;
+    } else {
+      this.balanceValue.textContent = "0.00000000";
+    }
+  }
+
   setBetAmountDisplay(value) {
     if (this.betAmountValue) {
       this.betAmountValue.textContent = value;
@@ -1430,6 +1568,29 @@ export class ControlPanel extends EventTarget {
     }
   }
 
+  getAutoStrategy() {
+    const readNumber = (input) => {
+      const numeric = Number(input?.value);
+      return Number.isFinite(numeric) ? Math.max(0, numeric) : 0;
+    };
+    const enabled = Boolean(this.isAdvancedEnabled);
+    return {
+      enabled,
+      strategy: enabled ? this.strategySelect?.value ?? "custom" : "custom",
+      scriptSource: this.strategyScriptInput?.value ?? "",
+      onWin: {
+        mode: enabled ? this.onWinMode : "reset",
+        percentage: readNumber(this.onWinInput),
+      },
+      onLoss: {
+        mode: enabled ? this.onLossMode : "reset",
+        percentage: readNumber(this.onLossInput),
+      },
+      stopOnProfit: enabled ? readNumber(this.autoStopOnProfitField?.input) : 0,
+      stopOnLoss: enabled ? readNumber(this.autoStopOnLossField?.input) : 0,
+    };
+  }
+
   getNumberOfBetsValue() {
     if (!this.autoNumberOfBetsInput) return 0;
     const numeric = Number(this.autoNumberOfBetsInput.value);
@@ -1474,6 +1635,14 @@ export class ControlPanel extends EventTarget {
     this.strategyControlsNonClickable = !isClickable;
     this.updateOnWinMode();
     this.updateOnLossMode();
+    if (this.strategySelect) {
+      this.strategySelect.disabled = !isClickable;
+      this.strategySelectWrapper.classList.toggle("is-non-clickable", !isClickable);
+    }
+    if (this.strategyScriptInput) {
+      this.strategyScriptInput.disabled = !isClickable;
+      this.strategyScriptApplyButton.disabled = !isClickable;
+    }
   }
 
   setStopOnProfitClickable(isClickable) {
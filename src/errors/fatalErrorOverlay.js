@@ -0,0 +1,67 @@
+function resolveMount(mount) {
+  if (!mount) {
+    throw new Error("Fatal error overlay mount target is required");
+  }
+  if (typeof mount === "string") {
+    const element = document.querySelector(mount);
+    if (!element) {
+      throw new Error(`Fatal error overlay mount '${mount}' not found`);
+    }
+    return element;
+  }
+  return mount;
+}
+
+/**
+ * Blocks the game after an error it cannot recover from. Emits `reload`
+ * when the player presses the reload button.
+ */
+export class FatalErrorOverlay extends EventTarget {
+  constructor(mount, { title = "", reloadLabel = "Reload" } = {}) {
+    super();
+    this.host = resolveMount(mount);
+
+    this.container = document.createElement("div");
+    this.container.className = "fatal-error-overlay";
+    this.container.setAttribute("role", "alertdialog");
+    this.container.setAttribute("aria-modal", "true");
+    this.container.hidden = true;
+    this.host.appendChild(this.container);
+
+    const dialog = document.createElement("div");
+    dialog.className = "fatal-error-dialog";
+    this.container.appendChild(dialog);
+
+    this.title = document.createElement("h2");
+    this.title.className = "fatal-error-title";
+    this.title.textContent = title;
+    dialog.appendChild(this.title);
+
+    this.message = document.createElement("p");
+    this.message.className = "fatal-error-message";
+    dialog.appendChild(this.message);
+
+    this.reloadButton = document.createElement("button");
+    this.reloadButton.type = "button";
+    this.reloadButton.className = "fatal-error-reload";
+    this.reloadButton.textContent = reloadLabel;
+    this.reloadButton.addEventListener("click", () => {
+      this.dispatchEvent(new CustomEvent("reload"));
+    });
+    dialog.appendChild(this.reloadButton);
+  }
+
+  get isVisible() {
+    return !this.container.hidden;
+  }
+
+  show(message) {
+    this.message.textContent = message;
+    this.container.hidden = false;
+    this.reloadButton.focus();
+  }
+
+  destroy() {
+    this.container.remove();
+  }
+}
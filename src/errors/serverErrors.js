@@ -0,0 +1,86 @@
+export const DEFAULT_LOCALE = "en";
+
+// Default handling per error code. `fatal` errors end the session behind a
+// modal; the others are shown as a toast. A server `error` message may
+// override `retryable` and `fatal`.
+export const SERVER_ERROR_CODES = Object.freeze({
+  "insufficient-funds": { retryable: false, fatal: false },
+  "bet-limit-exceeded": { retryable: false, fatal: false },
+  "invalid-state": { retryable: false, fatal: false },
+  "invalid-message": { retryable: false, fatal: false },
+  "rate-limited": { retryable: true, fatal: false },
+  "internal-error": { retryable: true, fatal: false },
+  "session-expired": { retryable: false, fatal: true },
+  maintenance: { retryable: false, fatal: true },
+});
+
+const UNKNOWN_ERROR = { retryable: false, fatal: false };
+
+export const SERVER_ERROR_MESSAGES = Object.freeze({
+  en: {
+    "insufficient-funds": "Insufficient balance for this bet.",
+    "bet-limit-exceeded": "This bet is outside the allowed limits.",
+    "invalid-state": "That action is not possible right now.",
+    "invalid-message": "The server could not process the request.",
+    "rate-limited": "Too many requests. Please wait a moment and try again.",
+    "internal-error": "Something went wrong on the server. Please try again.",
+    "session-expired": "Your session has expired. Reload the game to continue.",
+    maintenance: "The game is under maintenance. Please try again later.",
+    unknown: "Something went wrong. Please try again.",
+    fatalTitle: "The game cannot continue",
+    reload: "Reload",
+  },
+  de: {
+    "insufficient-funds": "Guthaben für diesen Einsatz nicht ausreichend.",
+    "bet-limit-exceeded":
+      "Dieser Einsatz liegt außerhalb der erlaubten Grenzen.",
+    "invalid-state": "Diese Aktion ist gerade nicht möglich.",
+    "invalid-message": "Der Server konnte die Anfrage nicht verarbeiten.",
+    "rate-limited":
+      "Zu viele Anfragen. Bitte warte kurz und versuche es erneut.",
+    "internal-error":
+      "Auf dem Server ist ein Fehler aufgetreten. Bitte versuche es erneut.",
+    "session-expired":
+      "Deine Sitzung ist abgelaufen. Lade das Spiel neu, um weiterzuspielen.",
+    maintenance: "Das Spiel wird gerade gewartet. Bitte versuche es später.",
+    unknown: "Etwas ist schiefgelaufen. Bitte versuche es erneut.",
+    fatalTitle: "Das Spiel kann nicht fortgesetzt werden",
+    reload: "Neu laden",
+  },
+});
+
+/** Picks the first supported locale for a tag such as "de-AT". */
+export function resolveLocale(preferred) {
+  const candidates = (Array.isArray(preferred) ? preferred : [preferred])
+    .filter((tag) => typeof tag === "string" && tag)
+    .map((tag) => tag.toLowerCase().split("-")[0]);
+  return (
+    candidates.find((tag) => Object.hasOwn(SERVER_ERROR_MESSAGES, tag)) ??
+    DEFAULT_LOCALE
+  );
+}
+
+export function getErrorText(key, locale = DEFAULT_LOCALE) {
+  const messages =
+    SERVER_ERROR_MESSAGES[locale] ?? SERVER_ERROR_MESSAGES[DEFAULT_LOCALE];
+  return messages[key] ?? SERVER_ERROR_MESSAGES[DEFAULT_LOCALE][key] ?? null;
+}
+
+/**
+ * Resolves an `error` payload to `{ code, message, retryable, fatal }`.
+ * Known codes use the localized text; unknown ones fall back to the
+ * server's own `message`.
+ */
+export function describeServerError(payload, { locale = DEFAULT_LOCALE } = {}) {
+  const code = payload.code;
+  const known = Object.hasOwn(SERVER_ERROR_CODES, code);
+  const defaults = known ? SERVER_ERROR_CODES[code] : UNKNOWN_ERROR;
+  return {
+    code,
+    message: known
+      ? getErrorText(code, locale)
+      : payload.message || getErrorText("unknown", locale),
+    retryable: payload.retryable ?? defaults.retryable,
+    fatal: payload.fatal ?? defaults.fatal,
+  };
+}
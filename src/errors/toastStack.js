@@ -0,0 +1,55 @@
+function resolveMount(mount) {
+  if (!mount) {
+    throw new Error("Toast mount target is required");
+  }
+  if (typeof mount === "string") {
+    const element = document.querySelector(mount);
+    if (!element) {
+      throw new Error(`Toast mount '${mount}' not found`);
+    }
+    return element;
+  }
+  return mount;
+}
+
+const DEFAULT_TOAST_DURATION_MS = 4000;
+const MAX_VISIBLE_TOASTS = 3;
+
+/**
+ * Short-lived notices stacked over the game. `tone` is "error" or "warning"
+ * and only changes the styling.
+ */
+export class ToastStack {
+  constructor(mount) {
+    this.host = resolveMount(mount);
+    this.container = document.createElement("div");
+    this.container.className = "toast-stack";
+    this.container.setAttribute("role", "status");
+    this.container.setAttribute("aria-live", "polite");
+    this.host.appendChild(this.container);
+  }
+
+  show(
+    message,
+    { tone = "error", durationMs = DEFAULT_TOAST_DURATION_MS } = {}
+  ) {
+    const toast = document.createElement("div");
+    toast.className = "toast";
+    toast.dataset.tone = tone;
+    toast.textContent = message;
+    this.container.appendChild(toast);
+    while (this.container.children.length > MAX_VISIBLE_TOASTS) {
+      this.container.firstElementChild.remove();
+    }
+    setTimeout(() => toast.remove(), durationMs);
+    return toast;
+  }
+
+  clear() {
+    this.container.replaceChildren();
+  }
+
+  destroy() {
+    this.container.remove();
+  }
+}
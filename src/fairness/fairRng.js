@@ -0,0 +1,173 @@
+import { hmacSha256, sha256, toHex } from "./sha256.js";
+
+const BYTES_PER_FLOAT = 4;
+const FLOATS_PER_DIGEST = 32 / BYTES_PER_FLOAT;
+
+function clampInt(value, max) {
+  const index = Math.floor(value * max);
+  return Math.min(Math.max(0, index), Math.max(0, max - 1));
+}
+
+/**
+ * Wraps a `() => number` function (Math.random by default) in the same
+ * interface as the provably-fair source so callers can swap them freely.
+ * Forked streams share the underlying generator.
+ */
+export function createRandomSource(random = Math.random) {
+  const source = {
+    fair: false,
+    next: () => random(),
+    nextInt: (max) => clampInt(random(), max),
+    fork: () => source,
+  };
+  return source;
+}
+
+/**
+ * Deterministic random stream derived from
+ * HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}[:${label}]:${cursor}`).
+ * Every digest yields eight floats built from four bytes each. `fork(label)`
+ * returns an independent stream so that, for example, cosmetic randomness
+ * never shifts the values used to build the round.
+ */
+export function createFairRandomSource({
+  serverSeed,
+  clientSeed,
+  nonce = 0,
+  label = "",
+}) {
+  if (!serverSeed) {
+    throw new Error("createFairRandomSource: serverSeed is required");
+  }
+
+  const prefix = label
+    ? `${clientSeed ?? ""}:${nonce}:${label}`
+    : `${clientSeed ?? ""}:${nonce}`;
+  let cursor = 0;
+  let buffer = null;
+  let bufferIndex = FLOATS_PER_DIGEST;
+
+  function refill() {
+    buffer = hmacSha256(serverSeed, `${prefix}:${cursor}`);
+    cursor += 1;
+    bufferIndex = 0;
+  }
+
+  function next() {
+    if (bufferIndex >= FLOATS_PER_DIGEST) {
+      refill();
+    }
+    const offset = bufferIndex * BYTES_PER_FLOAT;
+    bufferIndex += 1;
+    let value = 0;
+    for (let i = 0; i < BYTES_PER_FLOAT; i += 1) {
+      value += buffer[offset + i] / 256 ** (i + 1);
+    }
+    return value;
+  }
+
+  return {
+    fair: true,
+    next,
+    nextInt: (max) => clampInt(next(), max),
+    fork: (childLabel) =>
+      createFairRandomSource({
+        serverSeed,
+        clientSeed,
+        nonce,
+        label: label ? `${label}/${childLabel}` : String(childLabel ?? ""),
+      }),
+  };
+}
+
+export function hashServerSeed(serverSeed) {
+  return toHex(sha256(serverSeed ?? ""));
+}
+
+export function generateSeed(byteLength = 32) {
+  const bytes = new Uint8Array(byteLength);
+  const cryptoApi = globalThis.crypto;
+  if (typeof cryptoApi?.getRandomValues === "function") {
+    cryptoApi.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < byteLength; i += 1) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  return toHex(bytes);
+}
+
+/**
+ * Checks a revealed server seed against the hash that was published for the
+ * round and returns the random source needed to regenerate it.
+ */
+export function verifyRound({ serverSeed, serverSeedHash, clientSeed, nonce }) {
+  const valid =
+    typeof serverSeedHash === "string" &&
+    hashServerSeed(serverSeed) === serverSeedHash.toLowerCase();
+  return {
+    valid,
+    rng: valid
+      ? createFairRandomSource({ serverSeed, clientSeed, nonce })
+      : null,
+  };
+}
+
+/**
+ * Tracks the active server/client seed pair and hands out one random source
+ * per round with an incrementing nonce. The server seed stays secret until it
+ * is rotated; only its hash is exposed while it is in use.
+ */
+export class FairnessSession {
+  constructor({ serverSeed, clientSeed, nonce = 0 } = {}) {
+    this.serverSeed = serverSeed ?? generateSeed();
+    this.serverSeedHash = hashServerSeed(this.serverSeed);
+    this.clientSeed = clientSeed ?? generateSeed(16);
+    this.nonce = Math.max(0, Math.floor(Number(nonce) || 0));
+  }
+
+  nextRound() {
+    this.nonce += 1;
+    return {
+      nonce: this.nonce,
+      clientSeed: this.clientSeed,
+      serverSeedHash: this.serverSeedHash,
+      rng: createFairRandomSource({
+        serverSeed: this.serverSeed,
+        clientSeed: this.clientSeed,
+        nonce: this.nonce,
+      }),
+    };
+  }
+
+  setClientSeed(clientSeed) {
+    const next = String(clientSeed ?? "").trim();
+    if (!next) {
+      return this.clientSeed;
+    }
+    this.clientSeed = next;
+    this.nonce = 0;
+    return this.clientSeed;
+  }
+
+  rotateServerSeed(nextServerSeed = generateSeed()) {
+    const previous = {
+      serverSeed: this.serverSeed,
+      serverSeedHash: this.serverSeedHash,
+      clientSeed: this.clientSeed,
+      lastNonce: this.nonce,
+    };
+    this.serverSeed = nextServerSeed;
+    this.serverSeedHash = hashServerSeed(this.serverSeed);
+    this.nonce = 0;
+    return previous;
+  }
+
+  getPublicState() {
+    return {
+      serverSeedHash: this.serverSeedHash,
+      clientSeed: this.clientSeed,
+      nonce: this.nonce,
+    };
+  }
+}
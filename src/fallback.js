@@ -1,5 +1,7 @@
 // Simple DOM/CSS fallback for Scratch Cards board (no WebGL, no audio)
-// Always renders a 3x3 grid and exposes a minimal API compatible with main.js usage
+// Renders the configured grid (3x3 by default) and exposes a minimal API compatible with main.js usage
+
+import { resolveGridSize } from './game/gridConfig.js';
 
 export function createFallbackMinesGame(mountSelector, opts = {}) {
   const root =
@@ -9,11 +11,12 @@ export function createFallbackMinesGame(mountSelector, opts = {}) {
   if (!root) throw new Error('fallback: mount not found');
   root.innerHTML = '';
 
-  const GRID = opts.grid ?? 3;
+  const GRID = resolveGridSize(opts.grid);
 
   const board = document.createElement('div');
   board.className = 'fallback-board';
-  board.style.setProperty('--grid', GRID);
+  board.style.setProperty('--grid', GRID.cols);
+  board.style.setProperty('--grid-rows', GRID.rows);
   root.appendChild(board);
 
   const tiles = [];
@@ -26,6 +29,7 @@ export function createFallbackMinesGame(mountSelector, opts = {}) {
     autoRevealTriggered: false,
     feedbackPlayed: false,
     winningTiles: new Set(),
+    winningCellKeys: new Set(),
   };
 
   function resetOutcome() {
@@ -36,6 +40,7 @@ export function createFallbackMinesGame(mountSelector, opts = {}) {
     currentOutcome.autoRevealTriggered = false;
     currentOutcome.feedbackPlayed = false;
     currentOutcome.winningTiles.clear();
+    currentOutcome.winningCellKeys.clear();
   }
 
   function applyOutcome(meta = {}) {
@@ -43,15 +48,17 @@ export function createFallbackMinesGame(mountSelector, opts = {}) {
     currentOutcome.betResult = typeof meta.betResult === 'string' ? meta.betResult : null;
     if (currentOutcome.betResult === 'win' && meta.winningKey != null) {
       currentOutcome.winningKey = meta.winningKey;
-      const total = Number(meta.totalWinningCards);
-      if (Number.isFinite(total) && total > 0) {
-        currentOutcome.winningTotal = total;
-      }
+      (Array.isArray(meta.wins) ? meta.wins : []).forEach((win) => {
+        (win?.cells ?? []).forEach((cell) =>
+          currentOutcome.winningCellKeys.add(getKey(cell.row, cell.col))
+        );
+      });
+      currentOutcome.winningTotal = currentOutcome.winningCellKeys.size;
     }
   }
 
-  for (let r = 0; r < GRID; r++) {
-    for (let c = 0; c < GRID; c++) {
+  for (let r = 0; r < GRID.rows; r++) {
+    for (let c = 0; c < GRID.cols; c++) {
       const t = document.createElement('div');
       t.className = 'fallback-tile';
       t.dataset.row = String(r);
@@ -90,7 +97,9 @@ export function createFallbackMinesGame(mountSelector, opts = {}) {
     if (
       currentOutcome.betResult === 'win' &&
       currentOutcome.winningKey != null &&
-      resolvedKey === currentOutcome.winningKey
+      (currentOutcome.winningCellKeys.size > 0
+        ? currentOutcome.winningCellKeys.has(getKey(row, col))
+        : resolvedKey === currentOutcome.winningKey)
     ) {
       currentOutcome.winningRevealed += 1;
       currentOutcome.winningTiles.add(tile);
@@ -198,7 +207,7 @@ export function createFallbackMinesGame(mountSelector, opts = {}) {
     const row = Number(t.dataset.row);
     const col = Number(t.dataset.col);
     const assigned = currentAssignments.get(getKey(row, col));
-    revealTile(row, col, assigned ?? `T${Math.floor(Math.random() * 9) + 1}`);
+    revealTile(row, col, assigned ?? `T${Math.floor(Math.random() * tiles.length) + 1}`);
   });
 
   return {
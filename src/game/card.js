@@ -1,7 +1,23 @@
-import { AnimatedSprite, Container, Sprite, Texture } from "pixi.js";
+import {
+  AnimatedSprite,
+  Container,
+  Graphics,
+  RenderTexture,
+  Sprite,
+  Text,
+  Texture,
+} from "pixi.js";
 import Ease from "../ease.js";
 
 const AUTO_SELECTION_COLOR = 0xcfdd00;
+// Number of cells per side used to estimate how much of the scratch layer
+// has been cleared. Coverage is tracked on this coarse grid instead of
+// reading pixels back from the GPU.
+const SCRATCH_COVERAGE_RESOLUTION = 20;
+const SPECIAL_REVEAL_COLORS = {
+  wild: 0xffd54a,
+  multiplier: 0xeaff00,
+};
 
 /**
  * Card encapsulates the visual and interaction logic for a single tile on the grid.
@@ -18,6 +34,7 @@ export class Card {
     matchEffects,
     frameTexture,
     stateTextures,
+    scratchOptions,
     row,
     col,
     tileSize,
@@ -45,6 +62,14 @@ export class Card {
       hover: stateTextures?.hover ?? null,
       flipped: stateTextures?.flipped ?? null,
     };
+    this.scratchOptions = {
+      enabled: Boolean(scratchOptions?.enabled ?? false),
+      brushSize: Math.max(0.01, scratchOptions?.brushSize ?? 0.14),
+      revealThreshold: Math.min(
+        1,
+        Math.max(0.05, scratchOptions?.revealThreshold ?? 0.55)
+      ),
+    };
     this.row = row;
     this.col = col;
     this.strokeWidth = strokeWidth;
@@ -73,6 +98,7 @@ export class Card {
     this._frameSprite = null;
     this._frameTweenCancel = null;
     this._activeSparkCleanup = null;
+    this._specialRevealCleanup = null;
 
     this._tiltDir = 1;
     this._baseX = 0;
@@ -84,6 +110,14 @@ export class Card {
     this._tileSprite = null;
     this._tileState = "default";
     this._isHovering = false;
+    this._scratchSprite = null;
+    this._scratchTexture = null;
+    this._scratchBrushRoot = null;
+    this._scratchBrush = null;
+    this._scratchCoverage = null;
+    this._scratchClearedCells = 0;
+    this._scratchLastPoint = null;
+    this._scratchCompleted = false;
 
     this.container = this.#createCard(tileSize);
     this.hideWinFrame();
@@ -505,7 +539,6 @@ export class Card {
     const shadowWrap = this._shadowWrap;
     const tileSprite = this._tileSprite;
     const icon = this._icon;
-    const tileSize = this._tileSize;
     const startScaleY = Math.max(1, wrap.scale.y);
     const startShadowScaleY = shadowWrap?.scale
       ? Math.max(1, shadowWrap.scale.y)
@@ -553,51 +586,13 @@ export class Card {
 
         if (!this._swapHandled && t >= 0.5) {
           this._swapHandled = true;
-          icon.stop?.();
-          icon.gotoAndStop?.(0);
-          icon.visible = true;
-          const iconSizeFactor = revealedByPlayer
-            ? 1.0
-            : iconRevealedSizeFactor ??
-              contentConfig.iconRevealedSizeFactor ??
-              this.iconOptions.revealedSizeFactor;
-          const baseSize =
-            iconSizePercentage ??
-            contentConfig.iconSizePercentage ??
-            this.iconOptions.sizePercentage;
-          const iconScaleMultiplier = this.iconOptions.scaleMultiplier ?? 1;
-          const maxDimension =
-            tileSize * baseSize * iconSizeFactor * iconScaleMultiplier;
-
-          if (contentConfig.texture) {
-            icon.texture = contentConfig.texture;
-          }
-
-          const iconContext = {
-            card: this,
+          this.#clearScratchLayer();
+          this.#applyIconContent(contentConfig, {
             revealedByPlayer,
+            iconSizePercentage,
+            iconRevealedSizeFactor,
             shouldPlayAnimation: shouldPlayIconAnimation,
-            startFromFirstFrame: true,
-            animationHandled: false,
-          };
-
-          contentConfig.configureIcon?.(icon, iconContext);
-
-          const referenceTexture = contentConfig.texture ?? icon.texture ?? null;
-          this.#applyIconSizing(icon, maxDimension, referenceTexture);
-
-          if (!iconContext.animationHandled && Array.isArray(icon.textures)) {
-            icon.gotoAndStop?.(0);
-            if (
-              shouldPlayIconAnimation &&
-              icon.textures.length > 1 &&
-              typeof icon.play === "function"
-            ) {
-              icon.play();
-            } else {
-              icon.stop?.();
-            }
-          }
+          });
 
           const facePalette = this.#resolveRevealColor({
             paletteSet: contentConfig.palette?.face,
@@ -757,6 +752,7 @@ export class Card {
     this.stopWiggle();
     this.stopMatchShake();
     this._activeSparkCleanup?.();
+    this._specialRevealCleanup?.();
     this._bumpToken = null;
     this.#cancelSpawnAnimation();
     this.#stopWinHighlightLoop();
@@ -764,6 +760,7 @@ export class Card {
       this._frameTweenCancel();
       this._frameTweenCancel = null;
     }
+    this.#clearScratchLayer();
     this._shadowContainer?.destroy?.({ children: true });
     this._shadowContainer = null;
     this._shadowWrap = null;
@@ -820,6 +817,256 @@ export class Card {
     sprite.visible = false;
   }
 
+  /**
+   * Shows the given content underneath the scratch layer so that it becomes
+   * visible while the player scratches. Has no effect once the card has been
+   * revealed or when scratching is disabled.
+   */
+  setScratchPreview(content) {
+    if (!this._scratchSprite || this.revealed || this.destroyed) {
+      return;
+    }
+    if (!content) {
+      if (this._icon) {
+        this._icon.visible = false;
+      }
+      return;
+    }
+    this.#applyIconContent(content, {
+      revealedByPlayer: true,
+      shouldPlayAnimation: false,
+    });
+  }
+
+  isScratchEnabled() {
+    return Boolean(this._scratchSprite);
+  }
+
+  getScratchProgress() {
+    const total = this._scratchCoverage?.length ?? 0;
+    if (total <= 0) {
+      return this.revealed ? 1 : 0;
+    }
+    return this._scratchClearedCells / total;
+  }
+
+  #applyIconContent(
+    contentConfig,
+    {
+      revealedByPlayer = false,
+      iconSizePercentage,
+      iconRevealedSizeFactor,
+      shouldPlayAnimation = false,
+    } = {}
+  ) {
+    const icon = this._icon;
+    if (!icon || icon.destroyed) {
+      return;
+    }
+
+    icon.stop?.();
+    icon.gotoAndStop?.(0);
+    icon.visible = true;
+    const iconSizeFactor = revealedByPlayer
+      ? 1.0
+      : iconRevealedSizeFactor ??
+        contentConfig.iconRevealedSizeFactor ??
+        this.iconOptions.revealedSizeFactor;
+    const baseSize =
+      iconSizePercentage ??
+      contentConfig.iconSizePercentage ??
+      this.iconOptions.sizePercentage;
+    const iconScaleMultiplier = this.iconOptions.scaleMultiplier ?? 1;
+    const maxDimension =
+      this._tileSize * baseSize * iconSizeFactor * iconScaleMultiplier;
+
+    if (contentConfig.texture) {
+      icon.texture = contentConfig.texture;
+    }
+
+    const iconContext = {
+      card: this,
+      revealedByPlayer,
+      shouldPlayAnimation,
+      startFromFirstFrame: true,
+      animationHandled: false,
+    };
+
+    contentConfig.configureIcon?.(icon, iconContext);
+
+    const referenceTexture = contentConfig.texture ?? icon.texture ?? null;
+    this.#applyIconSizing(icon, maxDimension, referenceTexture);
+
+    if (!iconContext.animationHandled && Array.isArray(icon.textures)) {
+      icon.gotoAndStop?.(0);
+      if (
+        shouldPlayAnimation &&
+        icon.textures.length > 1 &&
+        typeof icon.play === "function"
+      ) {
+        icon.play();
+      } else {
+        icon.stop?.();
+      }
+    }
+  }
+
+  #createScratchLayer(tileSize) {
+    const renderer = this.app?.renderer;
+    if (!this.scratchOptions.enabled || !renderer || tileSize <= 0) {
+      return null;
+    }
+
+    const texture = RenderTexture.create({
+      width: tileSize,
+      height: tileSize,
+      resolution: renderer.resolution ?? 1,
+    });
+
+    const cover = new Sprite(this.stateTextures.default ?? Texture.WHITE);
+    cover.width = tileSize;
+    cover.height = tileSize;
+    renderer.render({ container: cover, target: texture, clear: true });
+    cover.destroy();
+
+    const brushRadius = Math.max(1, (tileSize * this.scratchOptions.brushSize) / 2);
+    const brush = new Graphics().circle(0, 0, brushRadius).fill(0xffffff);
+    brush.blendMode = "erase";
+    const brushRoot = new Container();
+    brushRoot.addChild(brush);
+
+    const sprite = new Sprite(texture);
+    sprite.eventMode = "none";
+
+    this._scratchTexture = texture;
+    this._scratchBrush = brush;
+    this._scratchBrushRoot = brushRoot;
+    this._scratchSprite = sprite;
+    this._scratchCoverage = new Uint8Array(
+      SCRATCH_COVERAGE_RESOLUTION * SCRATCH_COVERAGE_RESOLUTION
+    );
+    this._scratchClearedCells = 0;
+    this._scratchCompleted = false;
+
+    return sprite;
+  }
+
+  #canScratch() {
+    if (
+      !this._scratchSprite ||
+      this._scratchCompleted ||
+      this.revealed ||
+      this.destroyed
+    ) {
+      return false;
+    }
+    return this.interactionCallbacks.canScratch?.(this) !== false;
+  }
+
+  #handleScratchPointer(event, { isStart = false } = {}) {
+    if (!this._scratchSprite) {
+      return;
+    }
+    const isPrimaryPressed = isStart || (event?.buttons ?? 0) & 1;
+    if (!isPrimaryPressed || !this.#canScratch()) {
+      this._scratchLastPoint = null;
+      return;
+    }
+
+    const point = event.getLocalPosition?.(this._wrap);
+    if (!point) {
+      return;
+    }
+
+    const from = this._scratchLastPoint ?? point;
+    this._scratchLastPoint = { x: point.x, y: point.y };
+    this.#scratchSegment(from, point);
+  }
+
+  #scratchSegment(from, to) {
+    const renderer = this.app?.renderer;
+    const brush = this._scratchBrush;
+    if (!renderer || !brush || !this._scratchTexture) {
+      return;
+    }
+
+    const radius = Math.max(1, (this._tileSize * this.scratchOptions.brushSize) / 2);
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const distance = Math.hypot(dx, dy);
+    const steps = Math.max(1, Math.ceil(distance / (radius * 0.5)));
+
+    for (let i = 0; i <= steps; i += 1) {
+      const x = from.x + (dx * i) / steps;
+      const y = from.y + (dy * i) / steps;
+      brush.position.set(x, y);
+      renderer.render({
+        container: this._scratchBrushRoot,
+        target: this._scratchTexture,
+        clear: false,
+      });
+      this.#markScratchCoverage(x, y, radius);
+    }
+
+    const progress = this.getScratchProgress();
+    this.interactionCallbacks.onScratchProgress?.(this, progress);
+
+    if (!this._scratchCompleted && progress >= this.scratchOptions.revealThreshold) {
+      this._scratchCompleted = true;
+      this._scratchLastPoint = null;
+      this.interactionCallbacks.onScratchComplete?.(this);
+    }
+  }
+
+  #markScratchCoverage(x, y, radius) {
+    const coverage = this._scratchCoverage;
+    if (!coverage) return;
+    const cellSize = this._tileSize / SCRATCH_COVERAGE_RESOLUTION;
+    const minCol = Math.max(0, Math.floor((x - radius) / cellSize));
+    const maxCol = Math.min(
+      SCRATCH_COVERAGE_RESOLUTION - 1,
+      Math.floor((x + radius) / cellSize)
+    );
+    const minRow = Math.max(0, Math.floor((y - radius) / cellSize));
+    const maxRow = Math.min(
+      SCRATCH_COVERAGE_RESOLUTION - 1,
+      Math.floor((y + radius) / cellSize)
+    );
+    const radiusSquared = radius * radius;
+
+    for (let row = minRow; row <= maxRow; row += 1) {
+      for (let col = minCol; col <= maxCol; col += 1) {
+        const index = row * SCRATCH_COVERAGE_RESOLUTION + col;
+        if (coverage[index]) continue;
+        const centerX = (col + 0.5) * cellSize;
+        const centerY = (row + 0.5) * cellSize;
+        const distX = centerX - x;
+        const distY = centerY - y;
+        if (distX * distX + distY * distY <= radiusSquared) {
+          coverage[index] = 1;
+          this._scratchClearedCells += 1;
+        }
+      }
+    }
+  }
+
+  #clearScratchLayer() {
+    const sprite = this._scratchSprite;
+    if (!sprite) return;
+    sprite.parent?.removeChild(sprite);
+    sprite.destroy();
+    this._scratchTexture?.destroy(true);
+    this._scratchBrushRoot?.destroy({ children: true });
+    this._scratchSprite = null;
+    this._scratchTexture = null;
+    this._scratchBrushRoot = null;
+    this._scratchBrush = null;
+    this._scratchCoverage = null;
+    this._scratchClearedCells = 0;
+    this._scratchLastPoint = null;
+    this.#updateTileTexture();
+  }
+
   #stopWinHighlightLoop() {
     if (this._winHighlightInterval != null) {
       clearInterval(this._winHighlightInterval);
@@ -1126,6 +1373,79 @@ export class Card {
     this._activeSparkCleanup = finish;
   }
 
+  /**
+   * Reveal effect for wild and multiplier cards: a ring bursts out of the
+   * card and, for multipliers, the multiplier label floats up and fades.
+   */
+  playSpecialReveal({ type, label, color } = {}) {
+    if (this.destroyed || this.disableAnimations || !this._matchEffectsLayer) {
+      return;
+    }
+
+    this._specialRevealCleanup?.();
+    this.bump({ scaleMultiplier: 1.12, duration: 420 });
+
+    const effectColor = color ?? SPECIAL_REVEAL_COLORS[type] ?? 0xffffff;
+    const radius = this._tileSize * 0.42;
+    const ring = new Graphics().circle(0, 0, radius).stroke({
+      width: Math.max(2, this._tileSize * 0.05),
+      color: effectColor,
+    });
+    ring.scale.set(0.4);
+    this._matchEffectsLayer.addChild(ring);
+
+    let floatingLabel = null;
+    if (type === "multiplier" && label) {
+      floatingLabel = new Text({
+        text: label,
+        style: {
+          fill: effectColor,
+          fontFamily: "Inter, system-ui, -apple-system, Segoe UI, Arial",
+          fontSize: Math.max(12, Math.round(this._tileSize * 0.28)),
+          fontWeight: "800",
+          stroke: { color: 0x061217, width: 4 },
+        },
+      });
+      floatingLabel.anchor.set(0.5);
+      this._matchEffectsLayer.addChild(floatingLabel);
+    }
+
+    let finished = false;
+    let cancelTween = null;
+    const finish = (fromComplete = false) => {
+      if (finished) return;
+      finished = true;
+      if (!fromComplete) {
+        cancelTween?.();
+      }
+      for (const child of [ring, floatingLabel]) {
+        if (!child) continue;
+        child.parent?.removeChild(child);
+        child.destroy();
+      }
+      if (this._specialRevealCleanup === finish) {
+        this._specialRevealCleanup = null;
+      }
+    };
+
+    cancelTween = this.tween({
+      duration: 900,
+      update: (progress) => {
+        if (finished || this.destroyed) return;
+        const eased = 1 - Math.pow(1 - progress, 3);
+        ring.scale.set(0.4 + eased * 0.9);
+        ring.alpha = 1 - progress;
+        if (floatingLabel) {
+          floatingLabel.position.set(0, -this._tileSize * 0.35 * eased);
+          floatingLabel.alpha = progress < 0.6 ? 1 : 1 - (progress - 0.6) / 0.4;
+        }
+      },
+      complete: () => finish(true),
+    });
+
+    this._specialRevealCleanup = finish;
+  }
+
   #resolveRevealColor({
     paletteSet,
     revealedByPlayer,
@@ -1165,7 +1485,7 @@ export class Card {
     if (!sprite) return;
 
     let texture = this.stateTextures.default ?? Texture.WHITE;
-    if (this._tileState === "flipped" || this.revealed) {
+    if (this._tileState === "flipped" || this.revealed || this._scratchSprite) {
       texture = this.stateTextures.flipped ?? texture;
     } else if (this._isHovering && this.stateTextures.hover) {
       texture = this.stateTextures.hover;
@@ -1214,12 +1534,16 @@ export class Card {
     const matchEffectsLayer = new Container();
     matchEffectsLayer.position.set(tileSize / 2, tileSize / 2);
 
+    this._tileSize = tileSize;
+    const scratchSprite = this.#createScratchLayer(tileSize);
+
     const flipWrap = new Container();
     flipWrap.addChild(
       tileSprite,
       ...(frameSprite ? [frameSprite] : []),
       matchEffectsLayer,
-      icon
+      icon,
+      ...(scratchSprite ? [scratchSprite] : [])
     );
 
     flipWrap.position.set(tileSize / 2, tileSize / 2);
@@ -1270,14 +1594,23 @@ export class Card {
     tile.on("pointerover", () =>
       this.interactionCallbacks.onPointerOver?.(this)
     );
-    tile.on("pointerout", () => this.interactionCallbacks.onPointerOut?.(this));
-    tile.on("pointerdown", () =>
-      this.interactionCallbacks.onPointerDown?.(this)
-    );
-    tile.on("pointerup", () => this.interactionCallbacks.onPointerUp?.(this));
-    tile.on("pointerupoutside", () =>
-      this.interactionCallbacks.onPointerUpOutside?.(this)
-    );
+    tile.on("pointerout", () => {
+      this._scratchLastPoint = null;
+      this.interactionCallbacks.onPointerOut?.(this);
+    });
+    tile.on("pointerdown", (event) => {
+      this.interactionCallbacks.onPointerDown?.(this);
+      this.#handleScratchPointer(event, { isStart: true });
+    });
+    tile.on("pointermove", (event) => this.#handleScratchPointer(event));
+    tile.on("pointerup", () => {
+      this._scratchLastPoint = null;
+      this.interactionCallbacks.onPointerUp?.(this);
+    });
+    tile.on("pointerupoutside", () => {
+      this._scratchLastPoint = null;
+      this.interactionCallbacks.onPointerUpOutside?.(this);
+    });
     tile.on("pointertap", () => this.interactionCallbacks.onPointerTap?.(this));
 
     return tile;
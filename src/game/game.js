@@ -1,7 +1,12 @@
 import { Assets } from "pixi.js";
 import { GameScene } from "./gameScene.js";
 import { GameRules } from "./gameRules.js";
+import { resolveGridSize } from "./gridConfig.js";
+import { createWinRules } from "./winRules.js";
+import { createPaytable } from "./paytable.js";
+import { createSpecialSymbolTexture } from "./specialSymbolTextures.js";
 import { loadCardTypeAnimations } from "./spritesheetProvider.js";
+import { createRandomSource } from "../fairness/fairRng.js";
 import tileTapDownSoundUrl from "../../assets/sounds/TileTapDown.wav";
 import tileFlipSoundUrl from "../../assets/sounds/TileFlip.wav";
 import tileHoverSoundUrl from "../../assets/sounds/TileHover.wav";
@@ -58,6 +63,9 @@ const DEFAULT_PALETTE = {
   cardInset: 0x061217,
   cardInsetUnrevealed: 0x061217,
   winPopupBorder: 0xeaff00,
+  winLine: 0xeaff00,
+  specialWild: 0xffd54a,
+  specialMultiplier: 0xeaff00,
   winPopupBackground: 0x091b26,
   winPopupMultiplierText: 0xeaff00,
   winPopupSeparationLine: 0x1b2931,
@@ -65,6 +73,16 @@ const DEFAULT_PALETTE = {
 
 const WIN_FACE_COLOR = 0x061217;
 
+const ROUND_RECORD_VERSION = 1;
+// Idle stretches longer than this are shortened during replays.
+const DEFAULT_REPLAY_MAX_GAP_MS = 1500;
+const REPLAY_SETTLE_DELAY_MS = 800;
+
+// Round records are stored and exported as JSON, so they only keep plain data.
+function toPlainValue(value) {
+  return value == null ? null : JSON.parse(JSON.stringify(value));
+}
+
 const SOUND_ALIASES = {
   tileHover: "mines.tileHover",
   tileTapDown: "mines.tileTapDown",
@@ -320,12 +338,18 @@ function isAutoModeActive(getMode) {
 }
 
 export async function createGame(mount, opts = {}) {
-  const GRID = 3;
+  const GRID = resolveGridSize(opts.grid);
   const fontFamily =
     opts.fontFamily ?? "Inter, system-ui, -apple-system, Segoe UI, Arial";
   const initialSize = Math.max(1, opts.size ?? 400);
   const onCardSelected = opts.onCardSelected ?? (() => {});
   const onChange = opts.onChange ?? (() => {});
+  const onIntegrityViolation = opts.onIntegrityViolation ?? (() => {});
+  // Asked for the faces of hidden cards that `revealRemainingTiles` cannot
+  // show yet; answer by calling it again with `faces`.
+  const onRequestFaces =
+    opts.onRequestFaces ??
+    ((cells) => console.warn("No faces for hidden cards", cells));
   const getMode =
     typeof opts.getMode === "function" ? () => opts.getMode() : () => "manual";
   const palette = {
@@ -356,6 +380,12 @@ export async function createGame(mount, opts = {}) {
   const flipDuration = opts.flipDuration ?? 300;
   const flipEaseFunction = opts.flipEaseFunction ?? "easeInOutSine";
 
+  const scratchOptions = {
+    enabled: opts.scratchEnabled ?? false,
+    brushSize: opts.scratchBrushSize ?? 0.14,
+    revealThreshold: opts.scratchRevealThreshold ?? 0.55,
+  };
+
   const hoverOptions = {
     hoverEnabled: opts.hoverEnabled ?? true,
     hoverEnterDuration: opts.hoverEnterDuration ?? 120,
@@ -570,6 +600,7 @@ export async function createGame(mount, opts = {}) {
       },
       winPopupWidth: winPopupOptions.winPopupWidth,
       winPopupHeight: winPopupOptions.winPopupHeight,
+      scratch: scratchOptions,
     },
     backgroundTexture: gameBackgroundTexture,
     layoutOptions: { gapBetweenTiles },
@@ -583,7 +614,51 @@ export async function createGame(mount, opts = {}) {
 
   await scene.init();
 
-  const rules = new GameRules({ gridSize: GRID });
+  const rules = new GameRules({
+    gridSize: GRID,
+    winRules: createWinRules(opts.winRules, GRID),
+    paytable: opts.paytable ? createPaytable(opts.paytable) : null,
+  });
+
+  // Wild and multiplier cards get a generated icon unless the title supplies
+  // its own through `contentDefinitions`, plus a dedicated reveal effect.
+  const specialColors = {
+    wild: palette.specialWild,
+    multiplier: palette.specialMultiplier,
+  };
+  for (const special of rules.winRules.specialSymbols.values()) {
+    const existing = contentLibrary[special.key];
+    contentLibrary[special.key] = {
+      palette: {
+        face: {
+          revealed: palette.cardFace,
+          unrevealed: palette.cardFaceUnrevealed,
+        },
+        inset: {
+          revealed: palette.cardInset,
+          unrevealed: palette.cardInsetUnrevealed,
+        },
+      },
+      fallbackPalette: {},
+      ...existing,
+      key: special.key,
+      special,
+      texture:
+        existing?.texture ??
+        createSpecialSymbolTexture(scene.app.renderer, special, {
+          fontFamily,
+          colors: specialColors,
+        }),
+      onReveal: (context) => {
+        existing?.onReveal?.(context);
+        context?.card?.playSpecialReveal?.({
+          type: special.type,
+          label: special.label,
+          color: specialColors[special.type],
+        });
+      },
+    };
+  }
 
   const cardsByKey = new Map();
   const currentAssignments = new Map();
@@ -597,14 +672,28 @@ export async function createGame(mount, opts = {}) {
     feedbackPlayed: false,
     soundKey: null,
     winningCards: new Set(),
+    winningCellKeys: new Set(),
+    winGroups: [],
+    prizeLines: [],
+    multiplierCellKeys: new Set(),
     pendingReveals: 0,
     manualMatchPairsTriggered: 0,
-    winFramesShown: false,
-    winningAnimationsStarted: false,
+    payoutMultiplier: 0,
+    payoutAmount: 0,
+    meta: {},
+    evaluated: false,
   };
+  let pickRandom = createRandomSource();
+  let cosmeticRandom = createRandomSource();
+  let roundFairness = null;
   const manualMatchTracker = new Map();
   const manualShakingCards = new Set();
   const scheduledAutoRevealTimers = new Set();
+  // Timeline of the current round (see `getRoundRecord`). While a recorded
+  // round is being replayed nothing is recorded and the board ignores input.
+  let roundRecord = null;
+  let roundRecordStartedAt = 0;
+  let activeReplay = null;
 
   function clearScheduledAutoReveal(card) {
     if (!card) return;
@@ -675,10 +764,18 @@ export async function createGame(mount, opts = {}) {
     currentRoundOutcome.feedbackPlayed = false;
     currentRoundOutcome.soundKey = null;
     currentRoundOutcome.winningCards.clear();
+    currentRoundOutcome.winningCellKeys.clear();
+    currentRoundOutcome.winGroups = [];
+    currentRoundOutcome.prizeLines = [];
+    currentRoundOutcome.multiplierCellKeys.clear();
     currentRoundOutcome.pendingReveals = 0;
     currentRoundOutcome.manualMatchPairsTriggered = 0;
-    currentRoundOutcome.winFramesShown = false;
-    currentRoundOutcome.winningAnimationsStarted = false;
+    currentRoundOutcome.payoutMultiplier = 0;
+    currentRoundOutcome.payoutAmount = 0;
+    currentRoundOutcome.meta = {};
+    currentRoundOutcome.evaluated = false;
+    scene.hideWinPopup();
+    scene.hideWinLines();
     cancelPendingAutoReveals();
     resetManualMatchTracking();
     for (const card of scene.cards) {
@@ -687,25 +784,128 @@ export async function createGame(mount, opts = {}) {
     }
   }
 
-  function applyRoundOutcomeMeta(meta = {}, assignments = []) {
+  function applyRoundOutcomeMeta(meta = {}) {
     resetRoundOutcome();
 
-    const betResult = typeof meta.betResult === "string" ? meta.betResult : null;
+    applyClaim(meta);
+
+    // Once the whole board is dealt the client evaluates the round itself;
+    // the server's claim is only trusted while assignments are incomplete.
+    // Boards dealt face down are evaluated by `evaluateCompletedBoard` once
+    // the server has revealed every face.
+    currentRoundOutcome.meta = meta;
+    const evaluation =
+      rules.assignments.size >= rules.totalTiles
+        ? rules.evaluateAssignments()
+        : null;
+    currentRoundOutcome.evaluated = Boolean(evaluation);
+    applyRoundResult(meta, evaluation);
+
+    if (evaluation) {
+      reportVerification(rules.verifyClaim());
+    }
+  }
+
+  function applyClaim(meta) {
+    rules.setClaim({
+      betResult: typeof meta.betResult === "string" ? meta.betResult : null,
+      winningKey: meta.winningKey ?? null,
+      winningKeys: Array.isArray(meta.winningKeys) ? meta.winningKeys : null,
+      payoutMultiplier: meta.payoutMultiplier ?? null,
+    });
+  }
+
+  function toPayoutValue(value) {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : 0;
+  }
+
+  /**
+   * Takes the server's claim for a round dealt face down. It arrives with the
+   * reveal that completes the board, so it is set before that reveal and
+   * checked as soon as every face is known.
+   */
+  function setRoundClaim(claim = {}) {
+    const meta = {
+      ...currentRoundOutcome.meta,
+      betResult: claim.betResult ?? null,
+      winningKeys: claim.winningKeys ?? null,
+      payoutMultiplier: claim.payoutMultiplier ?? null,
+      payoutAmount: claim.payoutAmount ?? null,
+    };
+    currentRoundOutcome.meta = meta;
+    applyClaim(meta);
+    if (roundRecord && !activeReplay) {
+      Object.assign(
+        roundRecord.meta,
+        toPlainValue({
+          betResult: meta.betResult,
+          winningKeys: meta.winningKeys,
+          payoutMultiplier: meta.payoutMultiplier,
+          payoutAmount: meta.payoutAmount,
+        })
+      );
+    }
+    if (currentRoundOutcome.evaluated) {
+      currentRoundOutcome.payoutMultiplier = toPayoutValue(
+        meta.payoutMultiplier
+      );
+      currentRoundOutcome.payoutAmount = toPayoutValue(meta.payoutAmount);
+      reportVerification(rules.verifyClaim());
+    }
+  }
+
+  function applyRoundResult(meta, evaluation) {
+    const claimedResult =
+      typeof meta.betResult === "string" ? meta.betResult : null;
+    const betResult = evaluation?.betResult ?? claimedResult;
     currentRoundOutcome.betResult = betResult;
+    currentRoundOutcome.winningKey = null;
+    currentRoundOutcome.winningCellKeys.clear();
+    currentRoundOutcome.winGroups = [];
+    currentRoundOutcome.prizeLines = [];
+    currentRoundOutcome.multiplierCellKeys.clear();
+    currentRoundOutcome.winningCountRequired = 0;
+    currentRoundOutcome.soundKey = null;
 
-    if (betResult === "win" && meta.winningKey != null) {
-      currentRoundOutcome.winningKey = meta.winningKey;
-      const explicitCount = Number(meta.totalWinningCards);
-      if (Number.isFinite(explicitCount) && explicitCount > 0) {
-        currentRoundOutcome.winningCountRequired = explicitCount;
-      } else {
-        const derivedCount = assignments.filter(
-          (entry) => entry?.contentKey === meta.winningKey
-        ).length;
-        currentRoundOutcome.winningCountRequired = derivedCount;
+    if (betResult === "win") {
+      const wins = evaluation?.wins ?? (Array.isArray(meta.wins) ? meta.wins : []);
+      currentRoundOutcome.winningKey = wins[0]?.symbol ?? meta.winningKey ?? null;
+      // Wins name their cells explicitly; only those cards take part in the
+      // win, even if the symbol also appears elsewhere. Each win is
+      // highlighted on its own as soon as all of its cards are revealed.
+      for (const win of wins) {
+        const cells = Array.isArray(win?.cells) ? win.cells : [];
+        const keys = new Set(cells.map((cell) => `${cell.row},${cell.col}`));
+        for (const key of keys) {
+          currentRoundOutcome.winningCellKeys.add(key);
+        }
+        currentRoundOutcome.winGroups.push({
+          keys,
+          line: win?.line ? cells : null,
+          shown: false,
+        });
+        currentRoundOutcome.prizeLines.push({
+          label: win?.label ?? `${keys.size} of a kind`,
+          multiplier: Number(win?.multiplier) || 0,
+        });
+      }
+      const multiplierCells =
+        evaluation?.multiplierCells ??
+        (Array.isArray(meta.multiplierCells) ? meta.multiplierCells : []);
+      for (const cell of multiplierCells) {
+        currentRoundOutcome.multiplierCellKeys.add(`${cell.row},${cell.col}`);
+        currentRoundOutcome.prizeLines.push({
+          label: `Multiplier ×${Number(cell.multiplier) || 1}`,
+        });
       }
+      currentRoundOutcome.winningCountRequired =
+        currentRoundOutcome.winningCellKeys.size;
     }
 
+    currentRoundOutcome.payoutMultiplier = toPayoutValue(meta.payoutMultiplier);
+    currentRoundOutcome.payoutAmount = toPayoutValue(meta.payoutAmount);
+
     if (betResult === "win") {
       currentRoundOutcome.soundKey = "roundWin";
     } else if (betResult === "lost") {
@@ -713,6 +913,123 @@ export async function createGame(mount, opts = {}) {
     }
   }
 
+  // Cards dealt face down are evaluated as soon as the last face is known,
+  // so the win highlight, popup, sound and claim check still happen.
+  function evaluateCompletedBoard() {
+    if (
+      currentRoundOutcome.evaluated ||
+      rules.assignments.size < rules.totalTiles
+    ) {
+      return;
+    }
+    currentRoundOutcome.evaluated = true;
+    applyRoundResult(currentRoundOutcome.meta, rules.evaluateAssignments());
+    reportVerification(rules.verifyClaim());
+
+    // Cards revealed before the board was known join their wins now; cards
+    // still flipping are counted when their reveal completes.
+    currentRoundOutcome.winningCards.clear();
+    currentRoundOutcome.revealedWinning = 0;
+    for (const card of scene.cards) {
+      if (card.revealed && isWinningCard(card)) {
+        currentRoundOutcome.revealedWinning += 1;
+        currentRoundOutcome.winningCards.add(card);
+      }
+    }
+    highlightCompletedWins();
+  }
+
+  function reportVerification(verification) {
+    if (!verification || verification.valid) {
+      return;
+    }
+    console.error("Round outcome does not match the server claim", verification);
+    try {
+      onIntegrityViolation(verification);
+    } catch (error) {
+      console.warn("onIntegrityViolation failed", error);
+    }
+  }
+
+  function revealRuleResult(selection, source) {
+    // A face the server sent with the reveal completes the board as well.
+    if (selection.result != null && !rules.hasFace(selection.row, selection.col)) {
+      learnFaces([selection]);
+    }
+    const revealedBefore = rules.revealedCount;
+    const outcome = rules.revealResult(selection);
+    reportVerification(outcome.verification);
+    if (rules.revealedCount === revealedBefore) {
+      return outcome;
+    }
+    recordRoundEvent("reveal", {
+      row: selection.row,
+      col: selection.col,
+      face: outcome.face,
+      source,
+    });
+    if (outcome.gameOver && roundRecord && !activeReplay) {
+      const evaluation = rules.evaluateAssignments();
+      // Face-down rounds are dealt empty; keep the faces they ended with.
+      roundRecord.assignments = getAssignmentList();
+      roundRecord.outcome = {
+        betResult: evaluation.betResult,
+        wins: evaluation.wins,
+        multiplierCells: evaluation.multiplierCells,
+        payoutMultiplier: currentRoundOutcome.payoutMultiplier,
+        payoutAmount: currentRoundOutcome.payoutAmount,
+        verified: outcome.verification ? outcome.verification.valid : null,
+        t: getRoundRecordTime(),
+      };
+    }
+    return outcome;
+  }
+
+  function getRoundRecordTime() {
+    return Math.max(0, Math.round(performance.now() - roundRecordStartedAt));
+  }
+
+  function getAssignmentList() {
+    return Array.from(currentAssignments, ([key, contentKey]) => {
+      const [row, col] = key.split(",").map(Number);
+      return { row, col, contentKey };
+    });
+  }
+
+  function startRoundRecord(meta) {
+    roundRecordStartedAt = performance.now();
+    roundRecord = {
+      version: ROUND_RECORD_VERSION,
+      grid: { rows: GRID.rows, cols: GRID.cols },
+      startedAt: Date.now(),
+      assignments: getAssignmentList(),
+      meta: toPlainValue({
+        betResult: meta.betResult ?? null,
+        winningKey: meta.winningKey ?? null,
+        winningKeys: meta.winningKeys ?? null,
+        wins: meta.wins ?? null,
+        multiplierCells: meta.multiplierCells ?? null,
+        payoutMultiplier: meta.payoutMultiplier ?? null,
+        payoutAmount: meta.payoutAmount ?? null,
+        fairness: meta.fairness ?? null,
+      }),
+      events: [],
+      outcome: null,
+    };
+  }
+
+  function recordRoundEvent(type, details = {}) {
+    if (!roundRecord || activeReplay) return;
+    roundRecord.events.push({ t: getRoundRecordTime(), type, ...details });
+  }
+
+  function isWinningCard(card) {
+    return (
+      currentRoundOutcome.betResult === "win" &&
+      currentRoundOutcome.winningCellKeys.has(`${card.row},${card.col}`)
+    );
+  }
+
   function registerCards() {
     cardsByKey.clear();
     for (const card of scene.cards) {
@@ -720,6 +1037,7 @@ export async function createGame(mount, opts = {}) {
       cardsByKey.set(key, card);
       card.setDisableAnimations(disableAnimations);
       card._assignedContent = currentAssignments.get(key) ?? null;
+      card.setScratchPreview?.(contentLibrary[card._assignedContent] ?? null);
       card._pendingWinningReveal = false;
       card._randomSelectionPending = false;
       clearScheduledAutoReveal(card);
@@ -733,6 +1051,11 @@ export async function createGame(mount, opts = {}) {
 
   function enterWaitingState(card) {
     rules.selectTile(card.row, card.col);
+    recordRoundEvent("select", {
+      row: card.row,
+      col: card.col,
+      source: card._randomSelectionPending ? "random" : "player",
+    });
     const skew = typeof card.getSkew === "function" ? card.getSkew() : 0;
     card._tiltDir = skew >= 0 ? +1 : -1;
     card.wiggle();
@@ -743,30 +1066,35 @@ export async function createGame(mount, opts = {}) {
   function revealCard(
     card,
     face,
-    { revealedByPlayer = true, forceFullIconSize = false } = {}
+    {
+      revealedByPlayer = true,
+      forceFullIconSize = false,
+      instant = false,
+    } = {}
   ) {
     if (!card) return;
     clearScheduledAutoReveal(card);
     const content = contentLibrary[face] ?? {};
-    const pitch = 0.9 + Math.random() * 0.2;
-    soundManager.play("tileFlip", { speed: pitch });
+    if (!instant) {
+      const pitch = 0.9 + cosmeticRandom.next() * 0.2;
+      soundManager.play("tileFlip", { speed: pitch });
+    }
     card._revealedFace = face;
     const iconRevealFactor = forceFullIconSize ? 1 : iconRevealedSizeFactor;
-    const isWinningFace =
-      currentRoundOutcome.betResult === "win" &&
-      currentRoundOutcome.winningKey != null &&
-      face != null &&
-      face === currentRoundOutcome.winningKey;
+    const isWinningFace = face != null && isWinningCard(card);
     const engagedWinningBefore =
       currentRoundOutcome.revealedWinning +
       currentRoundOutcome.pendingWinningReveals;
+    // Cards the player has scratched open are already visible, so they skip
+    // the flip and resolve immediately.
+    const scratchedOpen = card.getScratchProgress?.() >= scratchOptions.revealThreshold;
     const started = card.reveal({
       content,
       useSelectionTint: false,
       revealedByPlayer,
       iconSizePercentage,
       iconRevealedSizeFactor: iconRevealFactor,
-      flipDuration,
+      flipDuration: instant || scratchedOpen ? 0 : flipDuration,
       flipEaseFunction,
       onComplete: (instance, payload) => {
         currentRoundOutcome.pendingReveals = Math.max(
@@ -814,41 +1142,13 @@ export async function createGame(mount, opts = {}) {
       currentAssignments.get(assignmentKey) ??
       null;
 
-    if (
-      currentRoundOutcome.betResult === "win" &&
-      currentRoundOutcome.winningKey != null &&
-      payloadKey != null &&
-      payloadKey === currentRoundOutcome.winningKey
-    ) {
+    if (payloadKey != null && isWinningCard(card)) {
       currentRoundOutcome.revealedWinning += 1;
       currentRoundOutcome.winningCards.add(card);
     }
 
-    const reachedWinningThreshold =
-      currentRoundOutcome.betResult === "win" &&
-      currentRoundOutcome.winningCountRequired > 0 &&
-      currentRoundOutcome.revealedWinning >=
-        currentRoundOutcome.winningCountRequired;
-    if (
-      reachedWinningThreshold &&
-      !currentRoundOutcome.winFramesShown &&
-      currentRoundOutcome.winningCards.size > 0
-    ) {
-      currentRoundOutcome.winFramesShown = true;
-      for (const winningCard of currentRoundOutcome.winningCards) {
-        winningCard?.fadeInWinFrame?.({ duration: 250 });
-      }
-    }
-
-    if (
-      reachedWinningThreshold &&
-      !currentRoundOutcome.winningAnimationsStarted &&
-      currentRoundOutcome.winningCards.size > 0
-    ) {
-      currentRoundOutcome.winningAnimationsStarted = true;
-      for (const winningCard of currentRoundOutcome.winningCards) {
-        winningCard?.playIconAnimation?.({ startFromFirstFrame: true });
-      }
+    if (isWinningCard(card)) {
+      highlightCompletedWins();
     }
 
     if (card._pendingWinningReveal) {
@@ -874,7 +1174,8 @@ export async function createGame(mount, opts = {}) {
       }
       tracked.cards.add(card);
       const eligibleForEffect =
-        tracked.cards.size >= 2 && state.revealed < state.totalTiles;
+        tracked.cards.size >= Math.max(2, state.matchCount - 1) &&
+        state.revealed < state.totalTiles;
       if (eligibleForEffect && !tracked.triggered) {
         tracked.triggered = true;
         currentRoundOutcome.manualMatchPairsTriggered += 1;
@@ -944,6 +1245,18 @@ export async function createGame(mount, opts = {}) {
         for (const winningCard of currentRoundOutcome.winningCards) {
           winningCard.highlightWin?.({ faceColor: WIN_FACE_COLOR });
         }
+        for (const key of currentRoundOutcome.multiplierCellKeys) {
+          const multiplierCard = cardsByKey.get(key);
+          multiplierCard?.fadeInWinFrame?.({ duration: 250 });
+          multiplierCard?.highlightWin?.({ faceColor: WIN_FACE_COLOR });
+        }
+        if (currentRoundOutcome.payoutMultiplier > 0) {
+          showWinPopup({
+            multiplier: currentRoundOutcome.payoutMultiplier,
+            amount: currentRoundOutcome.payoutAmount,
+            lines: currentRoundOutcome.prizeLines,
+          });
+        }
       }
 
       currentRoundOutcome.winningCards.clear();
@@ -954,7 +1267,39 @@ export async function createGame(mount, opts = {}) {
     }
   }
 
-  function revealRemainingTiles({ exclude = [] } = {}) {
+  function highlightCompletedWins() {
+    const revealedKeys = new Set(
+      Array.from(
+        currentRoundOutcome.winningCards,
+        (card) => `${card.row},${card.col}`
+      )
+    );
+    let addedLine = false;
+    for (const group of currentRoundOutcome.winGroups) {
+      if (group.shown || group.keys.size === 0) continue;
+      if (![...group.keys].every((key) => revealedKeys.has(key))) continue;
+      group.shown = true;
+      addedLine = addedLine || Boolean(group.line);
+      for (const key of group.keys) {
+        const winningCard = cardsByKey.get(key);
+        winningCard?.fadeInWinFrame?.({ duration: 250 });
+        winningCard?.playIconAnimation?.({ startFromFirstFrame: true });
+      }
+    }
+    if (addedLine) {
+      scene.showWinLines(
+        currentRoundOutcome.winGroups
+          .filter((group) => group.shown && group.line)
+          .map((group) => group.line),
+        { color: palette.winLine, duration: 250 }
+      );
+    }
+  }
+
+  function revealRemainingTiles({ exclude = [], faces = null } = {}) {
+    if (faces) {
+      learnFaces(faces);
+    }
     currentRoundOutcome.autoRevealTriggered = true;
     const excludedCards = new Set(
       Array.isArray(exclude) ? exclude.filter(Boolean) : []
@@ -971,6 +1316,15 @@ export async function createGame(mount, opts = {}) {
         !excludedCards.has(card)
     );
     if (!unrevealed.length) return;
+    // Cards dealt face down wait for the server to reveal them in one batch.
+    const hidden = unrevealed.filter(
+      (card) => !rules.hasFace(card.row, card.col)
+    );
+    if (hidden.length > 0) {
+      onRequestFaces(hidden.map((card) => ({ row: card.row, col: card.col })));
+      return;
+    }
+    recordRoundEvent("reveal-remaining", { count: unrevealed.length });
     const ordered = [...unrevealed].sort((a, b) => {
       if (a.row === b.row) {
         return a.col - b.col;
@@ -990,11 +1344,11 @@ export async function createGame(mount, opts = {}) {
         if (card.destroyed || card.revealed) {
           return;
         }
-        const outcome = rules.revealResult({
-          row: card.row,
-          col: card.col,
-          result: assignedFace,
-        });
+        const outcome = revealRuleResult(
+          { row: card.row, col: card.col, result: assignedFace },
+          "remaining"
+        );
+        if (outcome.unknown) return;
         revealCard(card, outcome.face, {
           revealedByPlayer: false,
           forceFullIconSize: true,
@@ -1007,6 +1361,7 @@ export async function createGame(mount, opts = {}) {
   }
 
   function handleCardTap(card) {
+    if (activeReplay) return;
     const autoMode = isAutoModeActive(getMode);
     if (card.revealed || card._animating || rules.gameOver) return;
 
@@ -1021,7 +1376,41 @@ export async function createGame(mount, opts = {}) {
     enterWaitingState(card);
   }
 
+  // Taps reveal cards even when scratching is on. A scratch stroke also ends
+  // in a tap, so cards the player has started scratching are left to it.
+  function handlePointerTap(card) {
+    if (scratchOptions.enabled && card.getScratchProgress?.() > 0) {
+      return;
+    }
+    handleCardTap(card);
+  }
+
+  // Cards dealt face down have nothing under the scratch layer yet; those
+  // are revealed by tapping only.
+  function canScratchCard(card) {
+    if (activeReplay || card.revealed || rules.gameOver || rules.waitingForChoice) {
+      return false;
+    }
+    if (card._assignedContent == null) {
+      return false;
+    }
+    return !isAutoModeActive(getMode);
+  }
+
+  function handleScratchComplete(card) {
+    if (activeReplay || card.revealed || rules.gameOver || rules.waitingForChoice) {
+      return;
+    }
+    if (isAutoModeActive(getMode)) {
+      return;
+    }
+    card.taped = true;
+    card.hover(false);
+    enterWaitingState(card);
+  }
+
   function handlePointerOver(card) {
+    if (activeReplay) return;
     if (card.revealed || card._animating || rules.gameOver) return;
     if (isAutoModeActive(getMode)) return;
     soundManager.play("tileHover");
@@ -1038,6 +1427,7 @@ export async function createGame(mount, opts = {}) {
   }
 
   function handlePointerDown(card) {
+    if (activeReplay) return;
     if (card.revealed || card._animating || rules.gameOver) return;
     if (isAutoModeActive(getMode)) return;
     soundManager.play("tileTapDown");
@@ -1050,37 +1440,34 @@ export async function createGame(mount, opts = {}) {
     }
   }
 
-  scene.buildGrid({
-    interactionFactory: () => ({
+  function createInteractionCallbacks() {
+    return {
       onPointerOver: handlePointerOver,
       onPointerOut: handlePointerOut,
       onPointerDown: handlePointerDown,
       onPointerUp: handlePointerUp,
       onPointerUpOutside: handlePointerUp,
-      onPointerTap: handleCardTap,
-    }),
-  });
+      onPointerTap: handlePointerTap,
+      canScratch: canScratchCard,
+      onScratchComplete: handleScratchComplete,
+    };
+  }
+
+  scene.buildGrid({ interactionFactory: createInteractionCallbacks });
 
   registerCards();
   soundManager.play("gameStart");
 
   function reset() {
+    stopReplay();
+    roundRecord = null;
     rules.reset();
     currentAssignments.clear();
     resetRoundOutcome();
     rules.setAssignments(currentAssignments);
     scene.hideWinPopup();
     scene.clearGrid();
-    scene.buildGrid({
-      interactionFactory: () => ({
-        onPointerOver: handlePointerOver,
-        onPointerOut: handlePointerOut,
-        onPointerDown: handlePointerDown,
-        onPointerUp: handlePointerUp,
-        onPointerUpOutside: handlePointerUp,
-        onPointerTap: handleCardTap,
-      }),
-    });
+    scene.buildGrid({ interactionFactory: createInteractionCallbacks });
     registerCards();
     notifyStateChange();
   }
@@ -1090,9 +1477,19 @@ export async function createGame(mount, opts = {}) {
     // compatibility with the control panel.
   }
 
+  function setRandomSource(source) {
+    const base = source ?? createRandomSource();
+    pickRandom = base.fork("picks");
+    cosmeticRandom = base.fork("cosmetic");
+  }
+
+  function getRoundFairness() {
+    return roundFairness ? { ...roundFairness } : null;
+  }
+
   function setRoundAssignments(assignments = [], meta = {}) {
     currentAssignments.clear();
-    applyRoundOutcomeMeta(meta, assignments);
+    roundFairness = meta?.fairness ?? null;
     for (const entry of assignments) {
       if (entry && typeof entry.row === "number" && typeof entry.col === "number") {
         const key = `${entry.row},${entry.col}`;
@@ -1100,12 +1497,63 @@ export async function createGame(mount, opts = {}) {
       }
     }
     rules.setAssignments(currentAssignments);
+    applyRoundOutcomeMeta(meta ?? {});
+    if (!activeReplay) {
+      startRoundRecord(meta ?? {});
+    }
     for (const [key, card] of cardsByKey.entries()) {
       card._assignedContent = currentAssignments.get(key) ?? null;
+      card.setScratchPreview?.(contentLibrary[card._assignedContent] ?? null);
+    }
+    notifyStateChange();
+  }
+
+  /**
+   * Rebuilds an unfinished round, e.g. after a reload: deals `assignments`
+   * like `setRoundAssignments`, then shows each `revealed` cell
+   * (`{ row, col, contentKey }`) face up without the flip animation.
+   */
+  function restoreRound(assignments = [], meta = {}, revealed = []) {
+    setRoundAssignments(assignments, meta);
+    for (const entry of revealed) {
+      const key = `${entry.row},${entry.col}`;
+      const card = cardsByKey.get(key);
+      if (!card || card.revealed) continue;
+      const outcome = revealRuleResult(
+        {
+          row: entry.row,
+          col: entry.col,
+          result: entry.contentKey ?? currentAssignments.get(key),
+        },
+        "restored"
+      );
+      if (outcome.unknown) continue;
+      revealCard(card, outcome.face, { instant: true });
     }
     notifyStateChange();
   }
 
+  // Stores faces the server revealed for cards that were dealt face down.
+  function learnFaces(entries = []) {
+    const learned = [];
+    for (const entry of entries) {
+      if (typeof entry?.row !== "number" || typeof entry?.col !== "number") {
+        continue;
+      }
+      const key = `${entry.row},${entry.col}`;
+      const face = entry.contentKey ?? entry.result ?? null;
+      currentAssignments.set(key, face);
+      learned.push([key, face]);
+      const card = cardsByKey.get(key);
+      if (card) {
+        card._assignedContent = face;
+        card.setScratchPreview?.(contentLibrary[face] ?? null);
+      }
+    }
+    rules.setFaces(learned);
+    evaluateCompletedBoard();
+  }
+
   function revealSelectedCard(contentKey) {
     const selection = rules.selectedTile;
     if (!selection) return;
@@ -1114,12 +1562,30 @@ export async function createGame(mount, opts = {}) {
     const key = `${selection.row},${selection.col}`;
     const resolvedContent =
       contentKey ?? currentAssignments.get(key) ?? card._assignedContent;
-    const outcome = rules.revealResult({ ...selection, result: resolvedContent });
+    const outcome = revealRuleResult(
+      { ...selection, result: resolvedContent },
+      "selected"
+    );
+    if (outcome.unknown) return;
     revealCard(card, outcome.face);
     rules.clearSelection();
     notifyStateChange();
   }
 
+  // Drops a pending selection without revealing it, e.g. when the server
+  // never answered, so the player can pick again.
+  function clearSelection() {
+    const selection = rules.selectedTile;
+    if (!selection) return;
+    const card = cardsByKey.get(`${selection.row},${selection.col}`);
+    if (card) {
+      card.taped = false;
+      card._randomSelectionPending = false;
+    }
+    rules.clearSelection();
+    notifyStateChange();
+  }
+
   function selectRandomTile() {
     const pendingSelection = rules.selectedTile;
     const candidates = scene.cards.filter((card) => {
@@ -1141,8 +1607,7 @@ export async function createGame(mount, opts = {}) {
       return true;
     });
     if (!candidates.length) return null;
-    const card =
-      candidates[Math.floor(Math.random() * candidates.length)];
+    const card = candidates[pickRandom.nextInt(candidates.length)];
     card._randomSelectionPending = true;
     handleCardTap(card);
     return { row: card.row, col: card.col };
@@ -1153,25 +1618,136 @@ export async function createGame(mount, opts = {}) {
     for (const entry of results) {
       const card = cardsByKey.get(`${entry.row},${entry.col}`);
       if (!card || card.revealed) continue;
-      const outcome = rules.revealResult({
-        row: entry.row,
-        col: entry.col,
-        result:
-          entry.contentKey ?? entry.result ?? currentAssignments.get(`${entry.row},${entry.col}`),
-      });
+      const outcome = revealRuleResult(
+        {
+          row: entry.row,
+          col: entry.col,
+          result:
+            entry.contentKey ?? entry.result ?? currentAssignments.get(`${entry.row},${entry.col}`),
+        },
+        "auto"
+      );
+      if (outcome.unknown) continue;
       revealCard(card, outcome.face, { revealedByPlayer: true });
     }
     notifyStateChange();
   }
 
+  /**
+   * Returns a JSON-safe copy of the current round's timeline: the dealt
+   * assignments and claim, every selection and reveal with its offset in ms
+   * from `setRoundAssignments`, and the evaluated outcome once the board is
+   * fully revealed.
+   */
+  function getRoundRecord() {
+    return toPlainValue(roundRecord);
+  }
+
+  /**
+   * Plays a record from `getRoundRecord` back on a fresh board through the
+   * normal reveal animations. The board ignores input until the replay ends
+   * or is stopped (`stopReplay`, `reset`). Resolves with `{ completed }`.
+   */
+  function replayRound(
+    record,
+    { speed = 1, maxGapMs = DEFAULT_REPLAY_MAX_GAP_MS } = {}
+  ) {
+    if (!record || !Array.isArray(record.assignments)) {
+      return Promise.reject(new Error("replayRound expects a round record"));
+    }
+    const rate = Number(speed) > 0 ? Number(speed) : 1;
+    const maxGap = Number(maxGapMs) > 0 ? Number(maxGapMs) : Infinity;
+
+    reset();
+    return new Promise((resolve) => {
+      activeReplay = { timers: new Set(), resolve };
+      setRoundAssignments(record.assignments, record.meta ?? {});
+
+      const replay = activeReplay;
+      const schedule = (callback, delay) => {
+        const handle = setTimeout(() => {
+          replay.timers.delete(handle);
+          callback();
+        }, delay);
+        replay.timers.add(handle);
+      };
+
+      let elapsed = 0;
+      let previous = 0;
+      const reveals = (record.events ?? []).filter(
+        (event) => event?.type === "reveal"
+      );
+      for (const event of reveals) {
+        const t = Math.max(previous, Number(event.t) || 0);
+        elapsed += Math.min(t - previous, maxGap) / rate;
+        previous = t;
+        schedule(() => replayReveal(event), elapsed);
+      }
+      schedule(() => finishReplay(true), elapsed + REPLAY_SETTLE_DELAY_MS);
+    });
+  }
+
+  function replayReveal(event) {
+    const card = cardsByKey.get(`${event.row},${event.col}`);
+    if (!card || card.destroyed || card.revealed) return;
+    const outcome = revealRuleResult({
+      row: event.row,
+      col: event.col,
+      result: event.face,
+    });
+    if (outcome.unknown) return;
+    revealCard(card, outcome.face, {
+      revealedByPlayer: event.source !== "remaining",
+      forceFullIconSize: event.source === "remaining",
+    });
+    notifyStateChange();
+  }
+
+  function finishReplay(completed) {
+    const replay = activeReplay;
+    if (!replay) return;
+    activeReplay = null;
+    for (const handle of replay.timers) {
+      clearTimeout(handle);
+    }
+    replay.resolve({ completed });
+  }
+
+  function stopReplay() {
+    finishReplay(false);
+  }
+
+  function showWinPopup({ multiplier, amount, lines = [] } = {}) {
+    const numericMultiplier = Number(multiplier);
+    const numericAmount = Number(amount);
+    const prizeLines = Array.isArray(lines)
+      ? lines.map((line) => {
+          if (typeof line === "string" || line?.multiplier == null) {
+            return typeof line === "string" ? line : line?.label;
+          }
+          return `${line.label}  ${Number(line.multiplier).toFixed(2)}×`;
+        })
+      : [];
+    scene.showWinPopup({
+      lines: prizeLines,
+      multiplier: Number.isFinite(numericMultiplier)
+        ? `${numericMultiplier.toFixed(2)}×`
+        : multiplier,
+      amount: Number.isFinite(numericAmount)
+        ? numericAmount.toFixed(8)
+        : amount,
+    });
+  }
+
   function getState() {
     return rules.getState();
   }
 
   function destroy() {
+    stopReplay();
+    resetRoundOutcome();
     scene.destroy();
     cardsByKey.clear();
-    resetRoundOutcome();
   }
 
   function setAnimationsEnabled(enabled) {
@@ -1190,13 +1766,24 @@ export async function createGame(mount, opts = {}) {
     getState,
     destroy,
     revealSelectedCard,
+    clearSelection,
     selectRandomTile,
     revealAutoSelections,
     revealRemainingTiles,
     isAutoRevealInProgress,
+    showWinPopup,
+    hideWinPopup: () => scene.hideWinPopup(),
     getAutoResetDelay: () => autoResetDelayMs,
     setAnimationsEnabled,
     setRoundAssignments,
+    setRoundClaim,
+    restoreRound,
+    getRoundRecord,
+    replayRound,
+    stopReplay,
+    isReplaying: () => activeReplay != null,
+    setRandomSource,
+    getRoundFairness,
     getCardContentKeys: getAvailableContentKeys,
   };
 }
@@ -1,6 +1,21 @@
+import { getMatchCount, resolveGridSize } from "./gridConfig.js";
+import { createWinRules } from "./winRules.js";
+
+const MULTIPLIER_EPSILON = 1e-9;
+
+function toResult(evaluation) {
+  return evaluation.wins.length > 0 ? "win" : "lost";
+}
+
 export class GameRules {
-  constructor({ gridSize }) {
+  constructor({ gridSize, matchCount, winRules, paytable = null }) {
+    const { rows, cols } = resolveGridSize(gridSize);
     this.gridSize = gridSize;
+    this.rows = rows;
+    this.cols = cols;
+    this.matchCount = matchCount ?? getMatchCount({ rows, cols });
+    this.winRules = winRules ?? createWinRules(undefined, { rows, cols });
+    this.paytable = paytable;
     this.reset();
   }
 
@@ -11,7 +26,9 @@ export class GameRules {
     this.revealedMap = new Map();
     this.assignments = new Map();
     this.revealedCount = 0;
-    this.totalTiles = this.gridSize * this.gridSize;
+    this.totalTiles = this.rows * this.cols;
+    this.claim = null;
+    this.verification = null;
   }
 
   setAssignments(map) {
@@ -19,6 +36,31 @@ export class GameRules {
     this.revealedMap.clear();
     this.revealedCount = 0;
     this.gameOver = false;
+    this.verification = null;
+  }
+
+  /**
+   * Adds faces learned after the deal, e.g. when a secure round's server
+   * reveals them, without touching what is already revealed.
+   */
+  setFaces(entries) {
+    for (const [key, face] of entries ?? []) {
+      this.assignments.set(key, face);
+    }
+  }
+
+  hasFace(row, col) {
+    return this.assignments.has(`${row},${col}`);
+  }
+
+  /**
+   * Records what the server says the round is worth. Once every card is
+   * revealed the claim is checked against the revealed symbols and the
+   * result is attached to the final reveal as `verification`.
+   */
+  setClaim(claim) {
+    this.claim = claim ? { ...claim } : null;
+    this.verification = null;
   }
 
   selectTile(row, col) {
@@ -43,21 +85,144 @@ export class GameRules {
 
     const assigned = this.assignments.get(key);
     const face = result ?? assigned ?? null;
+    // A card dealt face down stays hidden until its face is known.
+    if (face == null && !this.assignments.has(key)) {
+      return { face: null, gameOver: false, win: false, unknown: true };
+    }
     const outcome = { face, gameOver: false, win: false };
 
     this.revealedCount += 1;
+    this.revealedMap.set(key, outcome);
+    // A reveal is a win when it completes (or extends) a winning pattern
+    // among the cards uncovered so far.
+    outcome.win = this.getWins().some((win) =>
+      win.cells.some((cell) => cell.row === row && cell.col === col)
+    );
     if (this.revealedCount >= this.totalTiles) {
       this.gameOver = true;
       outcome.gameOver = true;
+      if (this.claim) {
+        this.verification = this.verifyClaim(this.claim);
+        outcome.verification = this.verification;
+      }
     }
 
-    this.revealedMap.set(key, outcome);
     return outcome;
   }
 
+  /**
+   * Evaluates the revealed cards against the win rules. Every completed
+   * pattern is returned, so a card holding several winning symbols yields
+   * several entries.
+   */
+  getWins(paytable) {
+    return this.winRules.evaluate(this.#getRevealedFaces(), paytable);
+  }
+
+  /**
+   * Like `getWins`, but also applies multiplier cards among the revealed
+   * cards. See `createWinRules().evaluateRound`.
+   */
+  evaluateRound(paytable) {
+    return this.winRules.evaluateRound(this.#getRevealedFaces(), paytable);
+  }
+
+  /**
+   * Evaluates the full assignment map, revealed or not, so the client knows
+   * the round's result as soon as the board is dealt.
+   */
+  evaluateAssignments(paytable = this.paytable) {
+    const evaluation = this.winRules.evaluateRound(this.assignments, paytable);
+    return { ...evaluation, betResult: toResult(evaluation) };
+  }
+
+  /**
+   * Compares a server claim (`betResult`, `winningKey`/`winningKeys`,
+   * `payoutMultiplier`) with the client's own evaluation. Revealed cards are
+   * used once the board is complete, otherwise the assignment map. Fields
+   * missing from the claim are not checked; the payout multiplier is only
+   * checked when a paytable is available.
+   */
+  verifyClaim(claim = this.claim, paytable = this.paytable) {
+    const source = this.gameOver ? "revealed" : "assignments";
+    const evaluation =
+      source === "revealed"
+        ? this.evaluateRound(paytable)
+        : this.evaluateAssignments(paytable);
+    const expected = {
+      betResult: toResult(evaluation),
+      winningKeys: Array.from(
+        new Set(evaluation.wins.map((win) => win.symbol))
+      ),
+      payoutMultiplier: paytable ? evaluation.totalMultiplier : null,
+    };
+    const mismatches = [];
+
+    if (claim?.betResult != null && claim.betResult !== expected.betResult) {
+      mismatches.push({
+        field: "betResult",
+        claimed: claim.betResult,
+        expected: expected.betResult,
+      });
+    }
+
+    const claimedKeys = Array.isArray(claim?.winningKeys)
+      ? claim.winningKeys
+      : claim?.winningKey != null
+        ? [claim.winningKey]
+        : null;
+    if (claimedKeys && (claim.betResult ?? expected.betResult) === "win") {
+      const sameKeys =
+        claimedKeys.length === expected.winningKeys.length &&
+        claimedKeys.every((key) => expected.winningKeys.includes(key));
+      if (!sameKeys) {
+        mismatches.push({
+          field: "winningKeys",
+          claimed: claimedKeys,
+          expected: expected.winningKeys,
+        });
+      }
+    }
+
+    const claimedMultiplier = Number(claim?.payoutMultiplier);
+    if (
+      expected.payoutMultiplier != null &&
+      claim?.payoutMultiplier != null &&
+      Number.isFinite(claimedMultiplier) &&
+      Math.abs(claimedMultiplier - expected.payoutMultiplier) >
+        MULTIPLIER_EPSILON
+    ) {
+      mismatches.push({
+        field: "payoutMultiplier",
+        claimed: claimedMultiplier,
+        expected: expected.payoutMultiplier,
+      });
+    }
+
+    return {
+      valid: mismatches.length === 0,
+      source,
+      mismatches,
+      claim: claim ? { ...claim } : null,
+      expected,
+      wins: evaluation.wins,
+    };
+  }
+
+  #getRevealedFaces() {
+    const faces = new Map();
+    for (const [key, outcome] of this.revealedMap) {
+      faces.set(key, outcome.face);
+    }
+    return faces;
+  }
+
   getState() {
     return {
       grid: this.gridSize,
+      rows: this.rows,
+      cols: this.cols,
+      matchCount: this.matchCount,
       totalTiles: this.totalTiles,
       revealed: this.revealedCount,
       gameOver: this.gameOver,
@@ -66,4 +231,3 @@ export class GameRules {
     };
   }
 }
-
@@ -1,5 +1,6 @@
 import { Application, Container, Graphics, Sprite, Text } from "pixi.js";
 import { Card } from "./card.js";
+import { resolveGridSize } from "./gridConfig.js";
 
 const DEFAULT_FONT_FAMILY = "Inter, system-ui, -apple-system, Segoe UI, Arial";
 
@@ -25,6 +26,9 @@ export class GameScene {
     this.fontFamily = fontFamily;
     this.backgroundTexture = backgroundTexture ?? null;
     this.gridSize = gridSize;
+    const { rows, cols } = resolveGridSize(gridSize);
+    this.rows = rows;
+    this.cols = cols;
     this.strokeWidth = strokeWidth;
     this.cardOptions = {
       icon: cardOptions?.icon ?? {},
@@ -33,6 +37,7 @@ export class GameScene {
       matchEffects: cardOptions?.matchEffects ?? {},
       frameTexture: cardOptions?.frameTexture ?? null,
       stateTextures: cardOptions?.stateTextures ?? {},
+      scratch: cardOptions?.scratch ?? {},
     };
     this.layoutOptions = {
       gapBetweenTiles: layoutOptions?.gapBetweenTiles ?? 0.012,
@@ -60,6 +65,7 @@ export class GameScene {
     this.board = null;
     this.boardShadows = null;
     this.boardContent = null;
+    this.winLineLayer = null;
     this.ui = null;
     this.winPopup = null;
     this.backgroundSprite = null;
@@ -67,6 +73,9 @@ export class GameScene {
     this._windowResizeListener = null;
     this._currentResolution = 1;
     this._lastLayout = null;
+    this._winLines = [];
+    this._winLineStyle = null;
+    this._winLineFadeTicker = null;
   }
 
   async init() {
@@ -94,7 +103,13 @@ export class GameScene {
     this.boardShadows = new Container();
     this.boardShadows.eventMode = "none";
     this.boardContent = new Container();
-    this.board.addChild(this.boardShadows, this.boardContent);
+    this.winLineLayer = new Graphics();
+    this.winLineLayer.eventMode = "none";
+    this.board.addChild(
+      this.boardShadows,
+      this.boardContent,
+      this.winLineLayer
+    );
     this.ui = new Container();
     this.app.stage.addChild(this.board, this.ui);
 
@@ -119,6 +134,7 @@ export class GameScene {
       card?.destroy?.();
     });
     this.cards = [];
+    this.#stopWinLineFade();
     this.app?.destroy(true);
     if (this.app?.canvas?.parentNode === this.root) {
       this.root.removeChild(this.app.canvas);
@@ -129,8 +145,8 @@ export class GameScene {
     this.clearGrid();
     const layout = this.#layoutSizes();
 
-    for (let r = 0; r < this.gridSize; r += 1) {
-      for (let c = 0; c < this.gridSize; c += 1) {
+    for (let r = 0; r < this.rows; r += 1) {
+      for (let c = 0; c < this.cols; c += 1) {
         const card = new Card({
           app: this.app,
           palette: this.palette,
@@ -139,6 +155,7 @@ export class GameScene {
           matchEffects: this.cardOptions.matchEffects,
           frameTexture: this.cardOptions.frameTexture,
           stateTextures: this.cardOptions.stateTextures,
+          scratchOptions: this.cardOptions.scratch,
           row: r,
           col: c,
           tileSize: layout.tileSize,
@@ -161,9 +178,16 @@ export class GameScene {
   layoutCards(layout = this.#layoutSizes()) {
     if (!this.cards.length) return;
 
-    const { tileSize, gap, contentSize, boardCenterX, boardCenterY } = layout;
-    const startX = -contentSize / 2;
-    const startY = -contentSize / 2;
+    const {
+      tileSize,
+      gap,
+      contentWidth,
+      contentHeight,
+      boardCenterX,
+      boardCenterY,
+    } = layout;
+    const startX = -contentWidth / 2;
+    const startY = -contentHeight / 2;
 
     for (const card of this.cards) {
       const scale = tileSize / card._tileSize;
@@ -179,6 +203,7 @@ export class GameScene {
 
     this.board.position.set(centerX, centerY);
     this._lastLayout = layout;
+    this.#drawWinLines();
   }
 
   resize() {
@@ -236,6 +261,7 @@ export class GameScene {
     }
     this.boardShadows?.removeChildren();
     this.boardContent?.removeChildren();
+    this.hideWinLines();
     this.cards = [];
     this._lastLayout = null;
   }
@@ -254,17 +280,94 @@ export class GameScene {
     this.winPopup.container.alpha = 0;
   }
 
-  showWinPopup({ multiplier, amount }) {
+  showWinPopup({ multiplier, amount, lines = [] }) {
     if (!this.winPopup) return;
-    const { container, multiplierText, amountText, layoutAmountRow } = this.winPopup;
+    const { container, multiplierText, amountText, layoutAmountRow, setLines } =
+      this.winPopup;
     multiplierText.text = multiplier ?? "1.00×";
     amountText.text = amount ?? "0.00";
+    setLines(lines);
     layoutAmountRow();
     container.visible = true;
     container.alpha = 1;
     container.scale?.set?.(1, 1);
   }
 
+  /**
+   * Draws a stroke through the centre of the first and last cell of every
+   * winning line. `lines` is a list of `{ row, col }` arrays in board order.
+   */
+  showWinLines(lines = [], { color = 0xeaff00, width, duration = 250 } = {}) {
+    this.hideWinLines();
+    this._winLines = (Array.isArray(lines) ? lines : []).filter(
+      (cells) => Array.isArray(cells) && cells.length > 1
+    );
+    if (!this._winLines.length || !this.winLineLayer) return;
+
+    this._winLineStyle = { color, width };
+    this.#drawWinLines();
+
+    const layer = this.winLineLayer;
+    if (this.disableAnimations || duration <= 0 || !this.app?.ticker) {
+      layer.alpha = 1;
+      return;
+    }
+
+    layer.alpha = 0;
+    const start = performance.now();
+    const tick = () => {
+      const progress = Math.min(1, (performance.now() - start) / duration);
+      layer.alpha = progress;
+      if (progress >= 1) {
+        this.#stopWinLineFade();
+      }
+    };
+    this._winLineFadeTicker = tick;
+    this.app.ticker.add(tick);
+  }
+
+  hideWinLines() {
+    this.#stopWinLineFade();
+    this._winLines = [];
+    this._winLineStyle = null;
+    this.winLineLayer?.clear();
+  }
+
+  #stopWinLineFade() {
+    if (this._winLineFadeTicker) {
+      this.app?.ticker?.remove(this._winLineFadeTicker);
+      this._winLineFadeTicker = null;
+    }
+  }
+
+  #drawWinLines() {
+    const layer = this.winLineLayer;
+    const layout = this._lastLayout;
+    if (!layer) return;
+    layer.clear();
+    if (!this._winLines.length || !layout) return;
+
+    const { tileSize, gap, contentWidth, contentHeight } = layout;
+    const cellCenter = ({ row, col }) => ({
+      x: -contentWidth / 2 + col * (tileSize + gap) + tileSize / 2,
+      y: -contentHeight / 2 + row * (tileSize + gap) + tileSize / 2,
+    });
+    const strokeWidth =
+      this._winLineStyle?.width ?? Math.max(3, Math.round(tileSize * 0.06));
+
+    for (const cells of this._winLines) {
+      const from = cellCenter(cells[0]);
+      const to = cellCenter(cells[cells.length - 1]);
+      layer.moveTo(from.x, from.y).lineTo(to.x, to.y);
+    }
+    layer.stroke({
+      width: strokeWidth,
+      color: this._winLineStyle?.color ?? 0xeaff00,
+      cap: "round",
+      alpha: 0.9,
+    });
+  }
+
   #setupRootSizing() {
     if (!this.root) return;
     this.root.style.position = this.root.style.position || "relative";
@@ -338,14 +441,30 @@ export class GameScene {
     const boardSpace = Math.max(40, size - topSpace - 5);
     const gapValue = this.layoutOptions?.gapBetweenTiles ?? 0.012;
     const gap = Math.max(1, Math.floor(boardSpace * gapValue));
-    const totalGaps = gap * (this.gridSize - 1);
-    const tileArea = Math.max(1, boardSpace - totalGaps);
-    const tileSize = Math.max(1, Math.floor(tileArea / this.gridSize));
-    const contentSize = tileSize * this.gridSize + totalGaps;
+    const horizontalGaps = gap * (this.cols - 1);
+    const verticalGaps = gap * (this.rows - 1);
+    const tileSize = Math.max(
+      1,
+      Math.floor(
+        Math.min(
+          (boardSpace - horizontalGaps) / this.cols,
+          (boardSpace - verticalGaps) / this.rows
+        )
+      )
+    );
+    const contentWidth = tileSize * this.cols + horizontalGaps;
+    const contentHeight = tileSize * this.rows + verticalGaps;
     const boardCenterX = horizontal + availableWidth / 2;
     const boardCenterY = vertical + availableHeight / 2;
 
-    return { tileSize, gap, contentSize, boardCenterX, boardCenterY };
+    return {
+      tileSize,
+      gap,
+      contentWidth,
+      contentHeight,
+      boardCenterX,
+      boardCenterY,
+    };
   }
 
   #positionWinPopup() {
@@ -480,9 +599,40 @@ export class GameScene {
       amountRow.position.set(0, height / 2 - height * 0.25);
     };
 
-    container.addChild(border, inner, multiplierText, amountRow);
+    // Prize lines sit between the multiplier and the amount and shrink to
+    // fit when a card wins on several lines at once.
+    const linesText = new Text({
+      text: "",
+      style: {
+        fill: 0xffffff,
+        fontFamily: this.fontFamily,
+        fontSize: 15,
+        fontWeight: "500",
+        align: "center",
+      },
+    });
+    linesText.anchor.set(0.5);
+    linesText.visible = false;
+
+    const setLines = (lines = []) => {
+      const entries = Array.isArray(lines) ? lines.filter(Boolean) : [];
+      linesText.visible = entries.length > 0;
+      linesText.text = entries.join("\n");
+      const available = height * 0.3;
+      linesText.style.fontSize = Math.max(
+        9,
+        Math.min(15, Math.floor(available / Math.max(1, entries.length) / 1.25))
+      );
+      linesText.position.set(0, 0);
+      multiplierText.position.set(
+        0,
+        -height / 2 + height * (entries.length > 0 ? 0.2 : 0.28)
+      );
+    };
+
+    container.addChild(border, inner, multiplierText, linesText, amountRow);
 
-    return { container, multiplierText, amountText, layoutAmountRow };
+    return { container, multiplierText, amountText, layoutAmountRow, setLines };
   }
 }
 
@@ -0,0 +1,49 @@
+// Board dimensions may be configured as a single number for square boards,
+// as `{ rows, cols }`, or as a "ROWSxCOLS" string.
+
+export const DEFAULT_GRID_SIZE = 3;
+export const MIN_MATCH_COUNT = 3;
+
+function toDimension(value, fallback) {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+export function resolveGridSize(value, fallback = DEFAULT_GRID_SIZE) {
+  if (typeof value === "string") {
+    const match = value.trim().match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+    if (match) {
+      return resolveGridSize({ rows: match[1], cols: match[2] }, fallback);
+    }
+    return resolveGridSize(Number(value), fallback);
+  }
+
+  if (value && typeof value === "object") {
+    const base = resolveGridSize(fallback, DEFAULT_GRID_SIZE);
+    const rows = toDimension(value.rows, base.rows);
+    const cols = toDimension(value.cols ?? value.columns, rows);
+    return { rows, cols };
+  }
+
+  const size = toDimension(
+    value,
+    typeof fallback === "number" ? fallback : DEFAULT_GRID_SIZE
+  );
+  return { rows: size, cols: size };
+}
+
+export function getTileCount(gridSize) {
+  const { rows, cols } = resolveGridSize(gridSize);
+  return rows * cols;
+}
+
+/**
+ * Number of identical symbols needed to win. Grows with the board so larger
+ * cards are not trivially easy: 3 on 3x3, 4 on 4x4, 5 on 5x5.
+ */
+export function getMatchCount(gridSize) {
+  return Math.max(
+    MIN_MATCH_COUNT,
+    Math.round(Math.sqrt(getTileCount(gridSize)))
+  );
+}
@@ -0,0 +1,80 @@
+// Maps every card type to its payout multiplier. `weight` controls how often
+// a symbol is picked as the winning symbol of a round; symbols without a
+// weight are picked with weight 1.
+export const DEFAULT_PAYTABLE = {
+  cardType_0: { multiplier: 1.1, weight: 170 },
+  cardType_1: { multiplier: 1.2, weight: 160 },
+  cardType_2: { multiplier: 1.25, weight: 150 },
+  cardType_3: { multiplier: 1.3, weight: 140 },
+  cardType_4: { multiplier: 1.4, weight: 120 },
+  cardType_5: { multiplier: 1.5, weight: 100 },
+  cardType_6: { multiplier: 2, weight: 60 },
+  cardType_7: { multiplier: 3, weight: 30 },
+  cardType_8: { multiplier: 5, weight: 14 },
+  cardType_9: { multiplier: 10, weight: 6 },
+  cardType_10: { multiplier: 25, weight: 2 },
+  cardType_11: { multiplier: 100, weight: 1 },
+};
+
+function normalizeEntry(entry) {
+  if (typeof entry === "number") {
+    return { multiplier: Math.max(0, entry), weight: 1 };
+  }
+  const multiplier = Number(entry?.multiplier);
+  const weight = Number(entry?.weight);
+  return {
+    multiplier: Number.isFinite(multiplier) ? Math.max(0, multiplier) : 0,
+    weight: Number.isFinite(weight) ? Math.max(0, weight) : 1,
+  };
+}
+
+/**
+ * Builds a paytable lookup from a `{ [cardKey]: multiplier | { multiplier,
+ * weight } }` config.
+ */
+export function createPaytable(config = DEFAULT_PAYTABLE) {
+  const entries = new Map(
+    Object.entries(config ?? {}).map(([key, entry]) => [
+      key,
+      normalizeEntry(entry),
+    ])
+  );
+
+  function getMultiplier(key) {
+    return entries.get(key)?.multiplier ?? 0;
+  }
+
+  function getWeight(key) {
+    return entries.get(key)?.weight ?? 1;
+  }
+
+  function pickWinningKey(keys = [], random) {
+    const candidates = keys.filter((key) => getWeight(key) > 0);
+    if (!candidates.length) {
+      return keys[0] ?? null;
+    }
+    const totalWeight = candidates.reduce((sum, key) => sum + getWeight(key), 0);
+    let target = random.next() * totalWeight;
+    for (const key of candidates) {
+      target -= getWeight(key);
+      if (target < 0) {
+        return key;
+      }
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  function getEntries() {
+    return Array.from(entries.entries()).map(([key, entry]) => ({
+      key,
+      ...entry,
+    }));
+  }
+
+  return {
+    getMultiplier,
+    getWeight,
+    pickWinningKey,
+    getEntries,
+  };
+}
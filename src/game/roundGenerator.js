@@ -0,0 +1,226 @@
+import { createRandomSource } from "../fairness/fairRng.js";
+import { resolveGridSize } from "./gridConfig.js";
+import { DEFAULT_PAYTABLE, createPaytable } from "./paytable.js";
+import { DEFAULT_WIN_RULES, createWinRules } from "./winRules.js";
+
+// Round generation is kept free of Pixi and DOM dependencies so it can be
+// shared by the browser game and the headless simulator.
+
+export const DEFAULT_LOSS_PROBABILITY = 0.4;
+
+export function getCardKey(row, col) {
+  return `${row},${col}`;
+}
+
+export function shuffleArray(values = [], random = createRandomSource()) {
+  const array = [...values];
+  for (let i = array.length - 1; i > 0; i -= 1) {
+    const j = random.nextInt(i + 1);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+export function createCardPositions(gridSize) {
+  const { rows, cols } = resolveGridSize(gridSize);
+  const positions = [];
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      positions.push({ row, col });
+    }
+  }
+  return positions;
+}
+
+export function determineDemoBetResult(
+  random = createRandomSource(),
+  { lossProbability = DEFAULT_LOSS_PROBABILITY } = {}
+) {
+  return random.next() < lossProbability ? "lost" : "win";
+}
+
+const MAX_GENERATION_ATTEMPTS = 200;
+
+function fillRemaining(
+  positions,
+  assignments,
+  counts,
+  cardTypes,
+  random,
+  canUse
+) {
+  for (const position of positions) {
+    const available = cardTypes.filter((type) =>
+      canUse(type, counts.get(type) ?? 0)
+    );
+    const pool = available.length > 0 ? available : cardTypes;
+    const choice = pool[random.nextInt(pool.length)] ?? null;
+    counts.set(choice, (counts.get(choice) ?? 0) + 1);
+    assignments.push({
+      row: position.row,
+      col: position.col,
+      contentKey: choice,
+    });
+  }
+}
+
+function buildCandidate(
+  betResult,
+  { cardTypes, gridSize, paytable, random, winRules }
+) {
+  const positions = shuffleArray(createCardPositions(gridSize), random);
+  const assignments = [];
+  const counts = new Map(cardTypes.map((key) => [key, 0]));
+
+  // Special cards take the last shuffled positions so they never displace a
+  // winning pattern. Each wild lowers the cap of every other symbol by one
+  // because it counts toward all of them.
+  let wildCount = 0;
+  for (const special of winRules.specialSymbols.values()) {
+    if (special.chance <= 0 || positions.length === 0) continue;
+    if (random.next() >= special.chance) continue;
+    const position = positions.pop();
+    assignments.push({
+      row: position.row,
+      col: position.col,
+      contentKey: special.key,
+    });
+    if (special.type === "wild") {
+      wildCount += 1;
+    }
+  }
+  const maxOtherCopies = Math.max(1, winRules.maxLosingCopies - wildCount);
+
+  if (betResult !== "win") {
+    fillRemaining(
+      positions,
+      assignments,
+      counts,
+      cardTypes,
+      random,
+      (type, count) => count < maxOtherCopies
+    );
+    return { assignments, winningKey: null, winningKeys: [] };
+  }
+
+  const symbolCount = Math.min(
+    winRules.pickWinningSymbolCount(random),
+    cardTypes.length
+  );
+  const usedKeys = new Set();
+  const winningKeys = [];
+
+  for (let index = 0; index < symbolCount; index += 1) {
+    const remainingTypes = cardTypes.filter(
+      (type) => !winningKeys.includes(type)
+    );
+    const symbol = paytable.pickWinningKey(remainingTypes, random) ?? null;
+    const pattern = winRules.pickPattern(random, { exclude: usedKeys });
+    if (!pattern) break;
+    const tier = winRules.pickTier(pattern, random);
+    const freePositions = positions.filter(
+      (position) => !usedKeys.has(getCardKey(position.row, position.col))
+    );
+    let symbolPositions;
+    if (pattern.cells) {
+      const patternKeys = new Set(
+        pattern.cells.map((cell) => getCardKey(cell.row, cell.col))
+      );
+      symbolPositions = freePositions.filter((position) =>
+        patternKeys.has(getCardKey(position.row, position.col))
+      );
+    } else {
+      symbolPositions = freePositions.slice(
+        0,
+        Math.max(1, (tier?.count ?? pattern.count) - wildCount)
+      );
+    }
+
+    for (const position of symbolPositions) {
+      usedKeys.add(getCardKey(position.row, position.col));
+      assignments.push({
+        row: position.row,
+        col: position.col,
+        contentKey: symbol,
+      });
+    }
+    counts.set(symbol, symbolPositions.length);
+    winningKeys.push(symbol);
+  }
+
+  fillRemaining(
+    positions.filter(
+      (position) => !usedKeys.has(getCardKey(position.row, position.col))
+    ),
+    assignments,
+    counts,
+    cardTypes,
+    random,
+    (type, count) => !winningKeys.includes(type) && count < maxOtherCopies
+  );
+  return { assignments, winningKey: winningKeys[0] ?? null, winningKeys };
+}
+
+/**
+ * Fills the grid for a round. Winning rounds hold one or more winning symbols
+ * (see `winningSymbolWeights`), each placed on a pattern and tier picked from
+ * `winRules` (by default `matchCount` copies anywhere); every other symbol
+ * stays below the "any" match count. Candidates are checked with
+ * `winRules.evaluate` and rebuilt until the board pays exactly what
+ * `betResult` asks for, so pattern rules can never produce an accidental
+ * extra win. `winningKey` is the first winning symbol, `winningKeys` lists
+ * them all. Wild and multiplier cards from `winRules.specialSymbols` are
+ * sprinkled in first; `totalMultiplier` is the round payout multiplier with
+ * every multiplier card applied.
+ */
+export function generateScratchCardAssignments(
+  betResult,
+  {
+    cardTypes: availableCardTypes = [],
+    gridSize = 3,
+    paytable = createPaytable(DEFAULT_PAYTABLE),
+    random = createRandomSource(),
+    winRules = createWinRules(DEFAULT_WIN_RULES, gridSize),
+  } = {}
+) {
+  // Special cards are placed separately and never act as regular symbols.
+  const regularTypes = (
+    Array.isArray(availableCardTypes) ? availableCardTypes : []
+  ).filter((type) => !winRules.specialSymbols.has(type));
+  const cardTypes = regularTypes.length > 0 ? regularTypes : [null];
+
+  for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt += 1) {
+    const { assignments, winningKey, winningKeys } = buildCandidate(betResult, {
+      cardTypes,
+      gridSize,
+      paytable,
+      random,
+      winRules,
+    });
+    const { wins, multiplierCells, roundMultiplier, totalMultiplier } =
+      winRules.evaluateRound(assignments, paytable);
+    const winSymbols = new Set(wins.map((win) => win.symbol));
+    const accepted =
+      betResult === "win"
+        ? winningKeys.length > 0 &&
+          winSymbols.size === winningKeys.length &&
+          winningKeys.every((key) => winSymbols.has(key))
+        : wins.length === 0;
+    if (accepted) {
+      return {
+        assignments,
+        winningKey,
+        winningKeys,
+        matchCount: winRules.matchCount,
+        wins,
+        multiplierCells,
+        roundMultiplier,
+        totalMultiplier,
+      };
+    }
+  }
+
+  throw new Error(
+    `generateScratchCardAssignments: unable to build a "${betResult}" round for the configured win rules`
+  );
+}
@@ -0,0 +1,65 @@
+import { Container, Graphics, Text } from "pixi.js";
+
+const TEXTURE_SIZE = 160;
+
+function createLabel(text, { fontFamily, fill, fontSize }) {
+  const label = new Text({
+    text,
+    style: {
+      fill,
+      fontFamily,
+      fontSize,
+      fontWeight: "800",
+      align: "center",
+      stroke: { color: 0x061217, width: 6 },
+    },
+  });
+  label.anchor.set(0.5);
+  return label;
+}
+
+/**
+ * Draws the icon for a wild or multiplier card into a texture so special
+ * cards work without dedicated artwork. Titles can still override the icon
+ * through `contentDefinitions`.
+ */
+export function createSpecialSymbolTexture(
+  renderer,
+  special,
+  { fontFamily, colors = {} } = {}
+) {
+  const container = new Container();
+  const half = TEXTURE_SIZE / 2;
+
+  if (special.type === "wild") {
+    const color = colors.wild ?? 0xffd54a;
+    const star = new Graphics()
+      .star(half, half, 5, half * 0.95, half * 0.45)
+      .fill(color)
+      .stroke({ width: 4, color: 0xffffff, alpha: 0.8 });
+    const label = createLabel(special.label, {
+      fontFamily,
+      fill: 0xffffff,
+      fontSize: 34,
+    });
+    label.position.set(half, half + 6);
+    container.addChild(star, label);
+  } else {
+    const color = colors.multiplier ?? 0xeaff00;
+    const badge = new Graphics()
+      .circle(half, half, half * 0.9)
+      .fill(0x0f2a36)
+      .stroke({ width: 8, color });
+    const label = createLabel(special.label, {
+      fontFamily,
+      fill: color,
+      fontSize: 56,
+    });
+    label.position.set(half, half);
+    container.addChild(badge, label);
+  }
+
+  const texture = renderer.generateTexture({ target: container });
+  container.destroy({ children: true });
+  return texture;
+}
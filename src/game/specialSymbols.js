@@ -0,0 +1,45 @@
+// Special card types that sit alongside the regular symbols:
+//   wild        counts toward a match of any regular symbol
+//   multiplier  multiplies the payout of a winning round by `multiplier`
+// `chance` is the probability that a round contains one copy of the symbol.
+// Multiplier cards raise the RTP by roughly `chance * (multiplier - 1)` of the
+// base game, so a paytable that adds them has to be retuned; the one in
+// src/config/demoGameConfig.json is. Check with `npm run simulate`.
+export const DEFAULT_SPECIAL_SYMBOLS = {
+  wild: { type: "wild", chance: 0.06, label: "WILD" },
+  multiplier_2: { type: "multiplier", multiplier: 2, chance: 0.04 },
+  multiplier_5: { type: "multiplier", multiplier: 5, chance: 0.01 },
+};
+
+const SPECIAL_TYPES = new Set(["wild", "multiplier"]);
+
+export function normalizeSpecialSymbols(config = {}) {
+  const specials = new Map();
+  for (const [key, entry] of Object.entries(config ?? {})) {
+    const type = String(entry?.type ?? "");
+    if (!SPECIAL_TYPES.has(type)) continue;
+    const chance = Number(entry?.chance);
+    const multiplier = Number(entry?.multiplier);
+    const resolvedMultiplier =
+      type === "multiplier" && Number.isFinite(multiplier) && multiplier > 0
+        ? multiplier
+        : 1;
+    specials.set(key, {
+      key,
+      type,
+      chance: Number.isFinite(chance) ? Math.min(1, Math.max(0, chance)) : 0,
+      multiplier: resolvedMultiplier,
+      label:
+        entry?.label ?? (type === "wild" ? "WILD" : `×${resolvedMultiplier}`),
+    });
+  }
+  return specials;
+}
+
+export function isWildSymbol(specials, key) {
+  return specials?.get(key)?.type === "wild";
+}
+
+export function isMultiplierSymbol(specials, key) {
+  return specials?.get(key)?.type === "multiplier";
+}
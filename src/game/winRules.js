@@ -0,0 +1,421 @@
+import { getMatchCount, resolveGridSize } from "./gridConfig.js";
+import { normalizeSpecialSymbols } from "./specialSymbols.js";
+
+// A win rule describes which cells must show the same symbol. Supported
+// types:
+//   any       `count` identical symbols anywhere (defaults to the board's
+//             match count)
+//   rows      every full row
+//   columns   every full column
+//   diagonals both corner-to-corner diagonals of a square board
+//   corners   the four corner cells
+//   mask      custom `cells` ([[row, col], ...]) or `mask` rows such as
+//             ["x.x", ".x.", "x.x"]
+// Each rule carries its own `multiplier`, applied on top of the symbol's
+// paytable multiplier, and an optional `weight` used when the generator picks
+// which pattern a winning round lands on.
+//
+// "any" rules may define `tiers` such as
+//   [{ count: 3, multiplier: 1, weight: 90 }, { count: 4, multiplier: 2 }]
+// so that 4- and 5-of-a-kind pay more than the base match. The highest tier
+// reached is paid. Without tiers the rule pays `multiplier` at `count`.
+//
+// The config may also be an object `{ rules, winningSymbolWeights,
+// specialSymbols }`, where `winningSymbolWeights[i]` is the relative chance of
+// a winning round holding i + 1 distinct winning symbols (default: always
+// one) and `specialSymbols` declares wild and multiplier card types (see
+// specialSymbols.js). Wilds complete patterns and count toward every "any"
+// match; multiplier cards scale the total payout of a winning round.
+export const DEFAULT_WIN_RULES = [{ id: "any", type: "any", multiplier: 1 }];
+export const DEFAULT_WINNING_SYMBOL_WEIGHTS = [1];
+
+const LINE_RULE_TYPES = new Set(["rows", "columns", "diagonals"]);
+
+function getKey(row, col) {
+  return `${row},${col}`;
+}
+
+function normalizeMaskCells(rule, rows, cols) {
+  if (Array.isArray(rule.mask)) {
+    const cells = [];
+    rule.mask.forEach((line, row) => {
+      Array.from(String(line ?? "")).forEach((char, col) => {
+        if (char !== "." && char !== " " && char !== "0") {
+          cells.push({ row, col });
+        }
+      });
+    });
+    return cells;
+  }
+  return (Array.isArray(rule.cells) ? rule.cells : [])
+    .map((cell) =>
+      Array.isArray(cell)
+        ? { row: Number(cell[0]), col: Number(cell[1]) }
+        : { row: Number(cell?.row), col: Number(cell?.col) }
+    )
+    .filter(
+      ({ row, col }) =>
+        Number.isInteger(row) &&
+        Number.isInteger(col) &&
+        row >= 0 &&
+        row < rows &&
+        col >= 0 &&
+        col < cols
+    );
+}
+
+function expandRuleCells(rule, rows, cols) {
+  switch (rule.type) {
+    case "rows":
+      return Array.from({ length: rows }, (_, row) =>
+        Array.from({ length: cols }, (__, col) => ({ row, col }))
+      );
+    case "columns":
+      return Array.from({ length: cols }, (_, col) =>
+        Array.from({ length: rows }, (__, row) => ({ row, col }))
+      );
+    case "diagonals": {
+      if (rows !== cols) {
+        return [];
+      }
+      return [
+        Array.from({ length: rows }, (_, index) => ({
+          row: index,
+          col: index,
+        })),
+        Array.from({ length: rows }, (_, index) => ({
+          row: index,
+          col: cols - 1 - index,
+        })),
+      ];
+    }
+    case "corners":
+      return [
+        [
+          { row: 0, col: 0 },
+          { row: 0, col: cols - 1 },
+          { row: rows - 1, col: 0 },
+          { row: rows - 1, col: cols - 1 },
+        ],
+      ];
+    case "mask": {
+      const cells = normalizeMaskCells(rule, rows, cols);
+      return cells.length > 1 ? [cells] : [];
+    }
+    default:
+      return [];
+  }
+}
+
+const LINE_LABELS = {
+  rows: "Row",
+  columns: "Column",
+  diagonals: "Diagonal",
+  corners: "Corners",
+};
+
+function pickWeighted(items, getWeight, random) {
+  const candidates = items.filter((item) => getWeight(item) > 0);
+  if (candidates.length <= 1) {
+    return candidates[0] ?? items[0] ?? null;
+  }
+  const totalWeight = candidates.reduce(
+    (sum, item) => sum + getWeight(item),
+    0
+  );
+  let target = random.next() * totalWeight;
+  for (const item of candidates) {
+    target -= getWeight(item);
+    if (target < 0) {
+      return item;
+    }
+  }
+  return candidates[candidates.length - 1];
+}
+
+function normalizeTiers(rule, baseCount) {
+  const tiers = (Array.isArray(rule?.tiers) ? rule.tiers : [])
+    .map((tier) => {
+      const count = Math.floor(Number(tier?.count));
+      const multiplier = Number(tier?.multiplier);
+      const weight = Number(tier?.weight);
+      return {
+        count,
+        multiplier: Number.isFinite(multiplier) ? Math.max(0, multiplier) : 1,
+        weight: Number.isFinite(weight) ? Math.max(0, weight) : 1,
+      };
+    })
+    .filter((tier) => Number.isFinite(tier.count) && tier.count > 1)
+    .sort((a, b) => a.count - b.count);
+  return tiers.length > 0
+    ? tiers
+    : [{ count: baseCount, multiplier: 1, weight: 1 }];
+}
+
+function describePattern(rule, index) {
+  if (rule.type === "any") {
+    return null;
+  }
+  const label = LINE_LABELS[rule.type];
+  if (rule.type === "rows" || rule.type === "columns") {
+    return `${label} ${index + 1}`;
+  }
+  if (rule.type === "diagonals") {
+    return index === 0 ? "Diagonal" : "Anti-diagonal";
+  }
+  return rule.source?.label ?? label ?? rule.id;
+}
+
+function toAssignmentMap(assignments) {
+  if (assignments instanceof Map) {
+    return assignments;
+  }
+  const map = new Map();
+  for (const entry of assignments ?? []) {
+    if (typeof entry?.row === "number" && typeof entry?.col === "number") {
+      map.set(
+        getKey(entry.row, entry.col),
+        entry.contentKey ?? entry.result ?? null
+      );
+    }
+  }
+  return map;
+}
+
+/**
+ * Expands a win rule config for a board and evaluates filled boards against
+ * it. `evaluate` returns one entry per satisfied pattern; a board may win on
+ * several patterns at once, in which case their multipliers add up.
+ */
+export function createWinRules(config = DEFAULT_WIN_RULES, gridSize) {
+  const { rows, cols } = resolveGridSize(gridSize);
+  const matchCount = getMatchCount({ rows, cols });
+  const ruleList = Array.isArray(config) ? config : config?.rules;
+  const ruleConfigs =
+    Array.isArray(ruleList) && ruleList.length > 0
+      ? ruleList
+      : DEFAULT_WIN_RULES;
+  const winningSymbolWeights = (
+    Array.isArray(config?.winningSymbolWeights)
+      ? config.winningSymbolWeights
+      : DEFAULT_WINNING_SYMBOL_WEIGHTS
+  ).map((weight) => Math.max(0, Number(weight) || 0));
+  const specialSymbols = normalizeSpecialSymbols(config?.specialSymbols);
+
+  const rules = ruleConfigs.map((rule, index) => {
+    const multiplier = Number(rule?.multiplier);
+    const weight = Number(rule?.weight);
+    const count = Math.floor(Number(rule?.count));
+    const type = String(rule?.type ?? "any");
+    return {
+      id: String(rule?.id ?? `${type}-${index}`),
+      type,
+      multiplier: Number.isFinite(multiplier) ? Math.max(0, multiplier) : 1,
+      weight: Number.isFinite(weight) ? Math.max(0, weight) : 1,
+      count: Number.isFinite(count) && count > 1 ? count : matchCount,
+      line: rule?.line ?? LINE_RULE_TYPES.has(type),
+      source: rule,
+    };
+  });
+  for (const rule of rules) {
+    if (rule.type === "any") {
+      rule.tiers = normalizeTiers(rule.source, rule.count);
+      rule.count = rule.tiers[0].count;
+    }
+  }
+
+  const anyRules = rules.filter((rule) => rule.type === "any");
+  const patterns = [];
+  for (const rule of rules) {
+    if (rule.type === "any") {
+      patterns.push({
+        id: rule.id,
+        ruleId: rule.id,
+        cells: null,
+        count: rule.count,
+        tiers: rule.tiers,
+        multiplier: rule.multiplier,
+        weight: rule.weight,
+        line: false,
+        label: null,
+      });
+      continue;
+    }
+    expandRuleCells(rule.source, rows, cols).forEach((cells, index) => {
+      patterns.push({
+        id: `${rule.id}:${index}`,
+        ruleId: rule.id,
+        label: describePattern(rule, index),
+        cells,
+        count: cells.length,
+        multiplier: rule.multiplier,
+        weight: rule.weight,
+        line: Boolean(rule.line),
+      });
+    });
+  }
+
+  // Largest number of copies a non-winning symbol may have without
+  // completing an "any" rule. Pattern rules are enforced by evaluation.
+  const maxLosingCopies = Math.max(
+    1,
+    Math.min(matchCount, ...anyRules.map((rule) => rule.count)) - 1
+  );
+
+  const isWild = (symbol) => specialSymbols.get(symbol)?.type === "wild";
+  const isSpecial = (symbol) => specialSymbols.has(symbol);
+
+  function matchPatternCells(map, cells) {
+    let symbol = null;
+    for (const cell of cells) {
+      const value = map.get(getKey(cell.row, cell.col));
+      if (isWild(value)) continue;
+      if (value == null || isSpecial(value)) return null;
+      if (symbol == null) {
+        symbol = value;
+      } else if (value !== symbol) {
+        return null;
+      }
+    }
+    return symbol;
+  }
+
+  function evaluate(assignments, paytable) {
+    const map = toAssignmentMap(assignments);
+    const wins = [];
+    const symbolMultiplier = (symbol) =>
+      paytable ? paytable.getMultiplier(symbol) : 1;
+
+    const cellsBySymbol = new Map();
+    const wildCells = [];
+    for (const [key, symbol] of map) {
+      if (symbol == null) continue;
+      const [row, col] = key.split(",").map(Number);
+      if (isWild(symbol)) {
+        wildCells.push({ row, col });
+        continue;
+      }
+      if (isSpecial(symbol)) continue;
+      if (!cellsBySymbol.has(symbol)) {
+        cellsBySymbol.set(symbol, []);
+      }
+      cellsBySymbol.get(symbol).push({ row, col });
+    }
+
+    for (const pattern of patterns) {
+      if (pattern.cells) {
+        // A pattern made only of wilds has no symbol to pay and is ignored.
+        const symbol = matchPatternCells(map, pattern.cells);
+        if (symbol != null) {
+          wins.push({
+            ruleId: pattern.ruleId,
+            patternId: pattern.id,
+            symbol,
+            label: pattern.label,
+            count: pattern.cells.length,
+            cells: pattern.cells.map((cell) => ({ ...cell })),
+            line: pattern.line,
+            multiplier: pattern.multiplier * symbolMultiplier(symbol),
+          });
+        }
+        continue;
+      }
+
+      for (const [symbol, symbolCells] of cellsBySymbol) {
+        const cells = [...symbolCells, ...wildCells];
+        const tier = pattern.tiers.findLast(
+          (entry) => cells.length >= entry.count
+        );
+        if (tier) {
+          wins.push({
+            ruleId: pattern.ruleId,
+            patternId: pattern.id,
+            symbol,
+            label: `${cells.length} of a kind`,
+            count: cells.length,
+            tier: tier.count,
+            cells,
+            line: false,
+            multiplier:
+              pattern.multiplier * tier.multiplier * symbolMultiplier(symbol),
+          });
+        }
+      }
+    }
+
+    return wins;
+  }
+
+  /**
+   * Full round evaluation: the pattern wins plus every multiplier card on the
+   * board. Multipliers stack multiplicatively and only apply when at least
+   * one pattern pays.
+   */
+  function evaluateRound(assignments, paytable) {
+    const map = toAssignmentMap(assignments);
+    const wins = evaluate(map, paytable);
+    const multiplierCells = [];
+    let roundMultiplier = 1;
+    for (const [key, symbol] of map) {
+      const special = specialSymbols.get(symbol);
+      if (special?.type !== "multiplier") continue;
+      const [row, col] = key.split(",").map(Number);
+      multiplierCells.push({ row, col, multiplier: special.multiplier });
+      roundMultiplier *= special.multiplier;
+    }
+    return {
+      wins,
+      multiplierCells,
+      roundMultiplier,
+      totalMultiplier:
+        wins.length > 0 ? getTotalWinMultiplier(wins) * roundMultiplier : 0,
+    };
+  }
+
+  function pickPattern(random, { exclude } = {}) {
+    const available = exclude
+      ? patterns.filter(
+          (pattern) =>
+            !pattern.cells ||
+            pattern.cells.every(
+              (cell) => !exclude.has(getKey(cell.row, cell.col))
+            )
+        )
+      : patterns;
+    return pickWeighted(available, (pattern) => pattern.weight, random);
+  }
+
+  function pickTier(pattern, random) {
+    if (!pattern?.tiers) {
+      return null;
+    }
+    return pickWeighted(pattern.tiers, (tier) => tier.weight, random);
+  }
+
+  function pickWinningSymbolCount(random) {
+    const counts = winningSymbolWeights.map((weight, index) => ({
+      count: index + 1,
+      weight,
+    }));
+    return pickWeighted(counts, (entry) => entry.weight, random)?.count ?? 1;
+  }
+
+  return {
+    rows,
+    cols,
+    matchCount,
+    maxLosingCopies,
+    specialSymbols,
+    getRules: () => rules.map(({ source, ...rule }) => rule),
+    getPatterns: () => patterns.map((pattern) => ({ ...pattern })),
+    pickPattern,
+    pickTier,
+    pickWinningSymbolCount,
+    evaluate,
+    evaluateRound,
+  };
+}
+
+export function getTotalWinMultiplier(wins = []) {
+  return wins.reduce((sum, win) => sum + (Number(win?.multiplier) || 0), 0);
+}
@@ -0,0 +1,199 @@
+export const DEFAULT_HISTORY_STORAGE_KEY = "scratchCards.betHistory";
+export const DEFAULT_MAX_HISTORY_ENTRIES = 500;
+// Replay records are by far the largest part of an entry, so only the newest
+// rounds keep theirs.
+export const DEFAULT_MAX_REPLAYS = 50;
+
+const CSV_COLUMNS = [
+  "id",
+  "timestamp",
+  "mode",
+  "demo",
+  "bet",
+  "betResult",
+  "winningKey",
+  "winningKeys",
+  "multiplier",
+  "payout",
+  "grid",
+  "serverSeedHash",
+  "clientSeed",
+  "nonce",
+];
+
+function resolveStorage(storage) {
+  if (storage !== undefined) return storage;
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function isQuotaError(error) {
+  return (
+    error?.name === "QuotaExceededError" ||
+    error?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    error?.code === 22
+  );
+}
+
+function escapeCsv(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(entry) {
+  const values = {
+    ...entry,
+    timestamp: new Date(entry.timestamp).toISOString(),
+    winningKeys: (entry.winningKeys ?? []).join("|"),
+    // Rows are separated by "/", cells by spaces.
+    grid: (entry.grid ?? [])
+      .map((row) => row.map((cell) => cell ?? "-").join(" "))
+      .join(" / "),
+    serverSeedHash: entry.fairness?.serverSeedHash,
+    clientSeed: entry.fairness?.clientSeed,
+    nonce: entry.fairness?.nonce,
+  };
+  return CSV_COLUMNS.map((column) => escapeCsv(values[column])).join(",");
+}
+
+/**
+ * Keeps the most recent finalized rounds, newest first, so support can
+ * reconstruct what a player saw. Entries are persisted to `storage`
+ * (localStorage by default) and trimmed to `maxEntries`; only the newest
+ * `maxReplays` keep their replay record. When the storage quota is reached,
+ * older replays and then older entries are given up until the list fits.
+ * Emits `change` whenever the list changes.
+ */
+export class BetHistory extends EventTarget {
+  constructor({
+    storage,
+    storageKey = DEFAULT_HISTORY_STORAGE_KEY,
+    maxEntries = DEFAULT_MAX_HISTORY_ENTRIES,
+    maxReplays = DEFAULT_MAX_REPLAYS,
+  } = {}) {
+    super();
+    this.storage = resolveStorage(storage);
+    this.storageKey = storageKey;
+    this.maxEntries = Math.max(1, Math.floor(maxEntries));
+    this.maxReplays = Math.max(0, Math.floor(maxReplays));
+    this.entries = this.#load();
+    this.#updateNextId();
+  }
+
+  add(record) {
+    const entry = {
+      ...record,
+      id: this.nextId,
+      timestamp: record?.timestamp ?? Date.now(),
+    };
+    this.nextId += 1;
+    this.entries.unshift(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.length = this.maxEntries;
+    }
+    const older = this.entries[this.maxReplays];
+    if (older?.replay) {
+      older.replay = null;
+    }
+    this.#save();
+    this.#emit();
+    return entry;
+  }
+
+  /** Re-reads the stored entries, e.g. after another tab added a round. */
+  reload() {
+    this.entries = this.#load();
+    this.#updateNextId();
+    this.#emit();
+  }
+
+  getEntries() {
+    return this.entries.slice();
+  }
+
+  get(id) {
+    return this.entries.find((entry) => entry.id === id) ?? null;
+  }
+
+  clear() {
+    this.entries = [];
+    this.#save();
+    this.#emit();
+  }
+
+  toJSON() {
+    return JSON.stringify(this.entries, null, 2);
+  }
+
+  toCSV() {
+    return [CSV_COLUMNS.join(","), ...this.entries.map(toCsvRow)].join("\r\n");
+  }
+
+  #updateNextId() {
+    this.nextId =
+      this.entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+  }
+
+  #load() {
+    if (!this.storage) return [];
+    try {
+      const parsed = JSON.parse(this.storage.getItem(this.storageKey) ?? "[]");
+      return Array.isArray(parsed)
+        ? parsed
+            .filter((entry) => Number.isFinite(entry?.id))
+            .slice(0, this.maxEntries)
+            .map((entry, index) =>
+              index < this.maxReplays ? entry : { ...entry, replay: null }
+            )
+        : [];
+    } catch (error) {
+      console.warn("Bet history could not be read", error);
+      return [];
+    }
+  }
+
+  #save() {
+    if (!this.storage) return;
+    for (;;) {
+      try {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+        return;
+      } catch (error) {
+        if (isQuotaError(error) && this.#shrink()) {
+          continue;
+        }
+        // The round must not break over this; the in-memory list still
+        // holds the entry.
+        console.warn("Bet history could not be saved", error);
+        return;
+      }
+    }
+  }
+
+  // Drops the replays of the older half of the entries that still have one,
+  // or else the older half of the entries. Returns false when nothing is
+  // left to drop.
+  #shrink() {
+    const withReplay = this.entries.filter((entry) => entry.replay);
+    if (withReplay.length > 0) {
+      for (const entry of withReplay.slice(Math.floor(withReplay.length / 2))) {
+        entry.replay = null;
+      }
+      return true;
+    }
+    if (this.entries.length > 1) {
+      this.entries.length = Math.ceil(this.entries.length / 2);
+      return true;
+    }
+    return false;
+  }
+
+  #emit() {
+    this.dispatchEvent(
+      new CustomEvent("change", { detail: { entries: this.getEntries() } })
+    );
+  }
+}
@@ -0,0 +1,204 @@
+function resolveMount(mount) {
+  if (!mount) {
+    throw new Error("Bet history mount target is required");
+  }
+  if (typeof mount === "string") {
+    const element = document.querySelector(mount);
+    if (!element) {
+      throw new Error(`Bet history mount '${mount}' not found`);
+    }
+    return element;
+  }
+  return mount;
+}
+
+function formatAmount(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric.toFixed(8) : "-";
+}
+
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime())
+    ? "-"
+    : date.toLocaleTimeString([], { hour12: false });
+}
+
+export function downloadTextFile(filename, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export class BetHistoryPanel extends EventTarget {
+  constructor(mount, options = {}) {
+    super();
+    this.options = {
+      title: options.title ?? "Bet History",
+      initialCollapsed: options.initialCollapsed ?? true,
+      getSymbolLabel:
+        typeof options.getSymbolLabel === "function"
+          ? options.getSymbolLabel
+          : (key) => String(key ?? ""),
+    };
+
+    this.host = resolveMount(mount);
+    this.host.innerHTML = "";
+
+    this.container = document.createElement("div");
+    this.container.className = "bet-history";
+    this.host.appendChild(this.container);
+
+    this.toggleButton = document.createElement("button");
+    this.toggleButton.type = "button";
+    this.toggleButton.className = "bet-history-toggle";
+    this.toggleButton.textContent = this.options.title;
+    this.toggleButton.addEventListener("click", () => {
+      this.setCollapsed(!this.collapsed);
+    });
+    this.container.appendChild(this.toggleButton);
+
+    this.buildBody();
+    this.setCollapsed(this.options.initialCollapsed);
+  }
+
+  buildBody() {
+    this.body = document.createElement("div");
+    this.body.className = "bet-history-body";
+    this.container.appendChild(this.body);
+
+    const actions = document.createElement("div");
+    actions.className = "bet-history-actions";
+    this.body.appendChild(actions);
+
+    const createAction = (label, onClick) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "bet-history-action";
+      button.textContent = label;
+      button.addEventListener("click", onClick);
+      actions.appendChild(button);
+      return button;
+    };
+
+    createAction("CSV", () => this.dispatchExport("csv"));
+    createAction("JSON", () => this.dispatchExport("json"));
+    createAction("Clear", () => {
+      this.dispatchEvent(new CustomEvent("clearhistory"));
+    });
+
+    this.tableWrapper = document.createElement("div");
+    this.tableWrapper.className = "bet-history-table-wrapper";
+    this.body.appendChild(this.tableWrapper);
+
+    const table = document.createElement("table");
+    table.className = "bet-history-table";
+    this.tableWrapper.appendChild(table);
+
+    const head = document.createElement("thead");
+    const headRow = document.createElement("tr");
+    for (const label of ["#", "Time", "Bet", "Payout", "Board"]) {
+      const cell = document.createElement("th");
+      cell.textContent = label;
+      headRow.appendChild(cell);
+    }
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    this.tableBody = document.createElement("tbody");
+    table.appendChild(this.tableBody);
+
+    this.emptyMessage = document.createElement("div");
+    this.emptyMessage.className = "bet-history-empty";
+    this.emptyMessage.textContent = "No rounds yet";
+    this.body.appendChild(this.emptyMessage);
+  }
+
+  dispatchExport(format) {
+    this.dispatchEvent(
+      new CustomEvent("exporthistory", { detail: { format } })
+    );
+  }
+
+  setCollapsed(value) {
+    this.collapsed = Boolean(value);
+    this.container.classList.toggle("is-collapsed", this.collapsed);
+    this.toggleButton.setAttribute("aria-expanded", String(!this.collapsed));
+    this.body.hidden = this.collapsed;
+  }
+
+  setEntries(entries = []) {
+    this.tableBody.textContent = "";
+    for (const entry of entries) {
+      this.tableBody.appendChild(this.createRow(entry));
+    }
+    this.emptyMessage.hidden = entries.length > 0;
+  }
+
+  createRow(entry) {
+    const row = document.createElement("tr");
+    row.className = "bet-history-row";
+    row.classList.add(entry.betResult === "win" ? "is-win" : "is-loss");
+    row.title = [
+      `Round ${entry.id}`,
+      entry.mode ? `${entry.demo ? "demo " : ""}${entry.mode}` : null,
+      entry.winningKeys?.length
+        ? `Winning: ${entry.winningKeys.join(", ")}`
+        : null,
+      entry.fairness ? `Nonce ${entry.fairness.nonce}` : null,
+      entry.replay ? "Click to replay" : null,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    const values = [
+      String(entry.id),
+      formatTime(entry.timestamp),
+      formatAmount(entry.bet),
+      formatAmount(entry.payout),
+    ];
+    for (const value of values) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+
+    const previewCell = document.createElement("td");
+    previewCell.appendChild(this.createPreview(entry));
+    row.appendChild(previewCell);
+
+    row.addEventListener("click", () => {
+      this.dispatchEvent(
+        new CustomEvent("selectentry", { detail: { id: entry.id } })
+      );
+    });
+    return row;
+  }
+
+  createPreview(entry) {
+    const grid = Array.isArray(entry.grid) ? entry.grid : [];
+    const preview = document.createElement("div");
+    preview.className = "bet-history-preview";
+    preview.style.gridTemplateColumns = `repeat(${grid[0]?.length ?? 1}, 1fr)`;
+
+    const winning = new Set(
+      (entry.winningCells ?? []).map((cell) => `${cell.row},${cell.col}`)
+    );
+    grid.forEach((cells, row) => {
+      cells.forEach((key, col) => {
+        const cell = document.createElement("span");
+        cell.className = "bet-history-preview-cell";
+        cell.classList.toggle("is-winning", winning.has(`${row},${col}`));
+        cell.textContent = key == null ? "" : this.options.getSymbolLabel(key);
+        cell.title = key ?? "";
+        preview.appendChild(cell);
+      });
+    });
+    return preview;
+  }
+}
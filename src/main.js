@@ -1,7 +1,52 @@
 import { createGame } from "./game/game.js";
 import { ControlPanel } from "./controlPanel/controlPanel.js";
 import { ServerRelay } from "./serverRelay.js";
+import { WebSocketTransport } from "./transport/webSocketTransport.js";
+import { PostMessageTransport } from "./transport/postMessageTransport.js";
+import { ConnectionBanner } from "./transport/connectionBanner.js";
+import { ToastStack } from "./errors/toastStack.js";
+import { FatalErrorOverlay } from "./errors/fatalErrorOverlay.js";
+import {
+  describeServerError,
+  getErrorText,
+  resolveLocale,
+} from "./errors/serverErrors.js";
 import { createServerDummy } from "./serverDummy/serverDummy.js";
+import { DEMO_STARTING_BALANCE, Wallet } from "./wallet/wallet.js";
+import {
+  AutoBetStrategy,
+  SCRIPT_STRATEGY,
+} from "./autoBet/strategyEngine.js";
+import { STRATEGY_PRESETS } from "./autoBet/strategyPresets.js";
+import { compileStrategyScript } from "./autoBet/strategyScript.js";
+import { SessionStats } from "./sessionStats/sessionStats.js";
+import { SessionStatsPanel } from "./sessionStats/sessionStatsPanel.js";
+import { BetHistory } from "./history/betHistory.js";
+import {
+  BetHistoryPanel,
+  downloadTextFile,
+} from "./history/betHistoryPanel.js";
+import { RoundSnapshotStore } from "./session/roundSnapshotStore.js";
+import { SessionCoordinator } from "./session/sessionCoordinator.js";
+import { SessionLockOverlay } from "./session/sessionLockOverlay.js";
+import {
+  DEFAULT_GAME_CONFIG,
+  describeBetLimitViolation,
+  resolveGameConfig,
+} from "./config/gameConfig.js";
+import {
+  FairnessSession,
+  createRandomSource,
+  verifyRound,
+} from "./fairness/fairRng.js";
+import { createPaytable } from "./game/paytable.js";
+import { getTileCount, resolveGridSize } from "./game/gridConfig.js";
+import { createWinRules } from "./game/winRules.js";
+import {
+  determineDemoBetResult,
+  generateScratchCardAssignments,
+  getCardKey,
+} from "./game/roundGenerator.js";
 
 import tileTapDownSoundUrl from "../assets/sounds/TileTapDown.wav";
 import tileFlipSoundUrl from "../assets/sounds/TileFlip.wav";
@@ -12,7 +57,17 @@ import roundLostSoundUrl from "../assets/sounds/Lost.wav";
 
 let game;
 let controlPanel;
-let demoMode = true;
+// `?relay=ws://host:port` connects the relay to a backend over WebSocket;
+// `?embed=<origin>[,<origin>…]` (plus an optional `token`) talks to the
+// embedding operator page over postMessage. Either starts in real mode.
+const launchParams = new URLSearchParams(window.location.search);
+const relayUrl = launchParams.get("relay");
+const embedOrigins = launchParams.get("embed");
+const locale = resolveLocale([
+  launchParams.get("lang"),
+  ...(navigator.languages ?? [navigator.language]),
+]);
+let demoMode = !relayUrl && !embedOrigins;
 const useAnimatedSpritesheets = true;
 const cardIconScale = 1.25;
 const cardIconOffsetX = 0;
@@ -22,7 +77,16 @@ const cardMatchShake = false;
 const serverRelay = new ServerRelay();
 let serverDummyUI = null;
 let suppressRelay = false;
+let relayTransport = null;
+let connectionBanner = null;
+let toastStack = null;
+let fatalErrorOverlay = null;
+// Only one tab plays at a time; the others wait behind an overlay and mirror
+// the active tab's balance and bet history.
+const sessionCoordinator = new SessionCoordinator();
+let sessionLockOverlay = null;
 let betButtonMode = "bet";
+let betButtonRequestedClickable = true;
 let roundActive = false;
 let cashoutAvailable = false;
 let lastKnownGameState = null;
@@ -36,16 +100,59 @@ let autoResetTimer = null;
 let autoStopPending = false;
 let autoRemainingBets = 0;
 let manualRoundNeedsReset = false;
-
-const GRID_SIZE = 3;
+// Demo auto-bets apply On Win / On Loss and the stop limits locally; in real
+// mode the server receives them through `control:strategy-*` instead.
+const autoBetStrategy = new AutoBetStrategy();
+let lastSettledRound = null;
+// Bumped per auto-bet session so a strategy script answering late cannot
+// steer the next session; set while a script is compiled before starting.
+let autoRunId = 0;
+let autoStartPending = false;
+
+// Grid, paytable, win rules, bet limits, currency, animation timings and
+// feature flags for this deployment. Demo mode uses demoGameConfig.json; real
+// mode replaces it with the server's `config` message before the game is
+// created (see applyGameConfig).
+let gameConfig = resolveGameConfig(DEFAULT_GAME_CONFIG);
 let availableCardTypes = [];
 let currentBetResult = null;
 const currentRoundAssignments = new Map();
+const fairnessSession = new FairnessSession();
+let currentRoundFairness = null;
+let paytable = createPaytable(gameConfig.paytable);
+let winRules = createWinRules(gameConfig.winRules, gameConfig.grid);
+let currentRoundPayout = null;
+// Demo rounds are paid from a local wallet; in real mode the server owns the
+// balance and reports it through `balance:update`.
+const demoWallet = new Wallet({ balance: DEMO_STARTING_BALANCE });
+let serverBalance = null;
+let demoRoundCharged = false;
+const sessionStats = new SessionStats();
+// Stake of the current server round, from `start-bet`.
+let serverRoundBet = null;
+let sessionStatsPanel = null;
+const betHistory = new BetHistory();
+let betHistoryPanel = null;
+const roundSnapshots = new RoundSnapshotStore();
+let pendingRoundState = null;
+let remainingFacesPending = false;
+let resolveServerConfig = null;
+const serverConfig = new Promise((resolve) => {
+  resolveServerConfig = resolve;
+});
 
 let totalProfitMultiplierValue = 1;
 let totalProfitAmountDisplayValue = "0.00000000";
 
 const AUTO_RESET_DELAY_MS = 1000;
+// How long real mode waits for the `config` message before falling back to
+// the demo configuration.
+const CONFIG_TIMEOUT_MS = 10000;
+const BET_REQUEST_TIMEOUT_MS = 8000;
+const SELECTION_REQUEST_TIMEOUT_MS = 8000;
+// One re-send per request; bets carry an idempotency key so the server can
+// drop the duplicate.
+const REQUEST_RETRIES = 1;
 let autoResetDelayMs = AUTO_RESET_DELAY_MS;
 
 function withRelaySuppressed(callback) {
@@ -104,11 +211,258 @@ function setTotalProfitAmountValue(value) {
   controlPanel?.setProfitValue?.(normalized);
 }
 
+function formatProfitOnWinDisplay(value) {
+  const numeric = coerceNumericValue(value) ?? 0;
+  return `${gameConfig.currency.symbol}${Math.max(0, numeric).toFixed(2)}`;
+}
+
+function computeRoundPayout(betResult, winningKey, totalMultiplier = null) {
+  const bet = getCurrentBetAmount();
+  let multiplier = 0;
+  if (betResult === "win" && totalMultiplier != null) {
+    multiplier = totalMultiplier;
+  } else if (betResult === "win" && winningKey != null) {
+    multiplier = paytable.getMultiplier(winningKey);
+  }
+  const payout = bet * multiplier;
+  return {
+    betResult,
+    winningKey,
+    bet,
+    multiplier,
+    payout,
+    profit: payout - bet,
+  };
+}
+
+function settleRoundPayout() {
+  if (!currentRoundPayout) {
+    return null;
+  }
+  const { multiplier, payout, profit } = currentRoundPayout;
+  lastSettledRound = currentRoundPayout;
+  currentRoundPayout = null;
+  sessionStats.record({ bet: lastSettledRound.bet, payout, multiplier });
+  if (demoRoundCharged) {
+    demoRoundCharged = false;
+    demoWallet.credit(payout);
+  }
+  setTotalProfitMultiplierValue(multiplier > 0 ? multiplier : 1);
+  setTotalProfitAmountValue(Math.max(0, profit));
+  controlPanel?.setProfitOnWinDisplay?.(formatProfitOnWinDisplay(profit));
+  return lastSettledRound;
+}
+
+function recordRoundHistory(settled) {
+  const { rows, cols } = resolveGridSize(gameConfig.grid);
+  const grid = Array.from({ length: rows }, (_, row) =>
+    Array.from(
+      { length: cols },
+      (_, col) => currentRoundAssignments.get(getCardKey(row, col)) ?? null
+    )
+  );
+  const replay = game?.getRoundRecord?.() ?? null;
+  // Server rounds learn their winning cells from the game's own evaluation.
+  const winningCells = settled?.winningCells?.length
+    ? settled.winningCells
+    : (replay?.outcome?.wins ?? []).flatMap((win) =>
+        win.cells.map((cell) => ({ row: cell.row, col: cell.col }))
+      );
+  betHistory.add({
+    mode: controlPanelMode,
+    demo: demoMode,
+    bet: settled?.bet ?? getCurrentBetAmount(),
+    betResult: settled?.betResult ?? currentBetResult,
+    winningKey: settled?.winningKey ?? null,
+    winningKeys: settled?.winningKeys ?? [],
+    winningCells,
+    multiplier: settled?.multiplier ?? null,
+    payout: settled?.payout ?? null,
+    grid,
+    fairness: demoMode ? getRoundFairnessInfo() : null,
+    replay,
+  });
+}
+
+// Replays a recorded round from the history panel; only while the board is
+// idle, and the next bet cuts it short.
+function replayHistoryEntry(id) {
+  const record = betHistory.get(id)?.replay;
+  if (!record || roundActive || autoRunActive || !game?.replayRound) {
+    return;
+  }
+  setGameBoardInteractivity(false);
+  markManualRoundForReset();
+  game.replayRound(record).catch((error) => {
+    console.warn("Round replay failed", error);
+  });
+}
+
+// Demo rounds only exist in this page, so every change is saved for a reload
+// to resume; real rounds come back through the server's `round-state`.
+function saveDemoRoundSnapshot() {
+  const record = game?.getRoundRecord?.();
+  if (!demoMode || !roundActive || !record) {
+    return;
+  }
+  roundSnapshots.save({
+    mode: controlPanelMode,
+    bet: controlPanel?.getBetValue?.() ?? null,
+    assignments: record.assignments,
+    revealed: record.events
+      .filter((event) => event.type === "reveal")
+      .map(({ row, col, face }) => ({ row, col, contentKey: face })),
+    outcome: record.meta,
+    payout: currentRoundPayout,
+  });
+}
+
+// Rebuilds an unfinished round from a `round-state` message or the demo
+// snapshot and hands it back to the player. Auto play does not survive a
+// reload, so rounds it left behind are revealed and settled right away.
+function restoreRoundState(state) {
+  if (!game?.restoreRound) {
+    pendingRoundState = state;
+    return false;
+  }
+  if (autoRunActive) {
+    return false;
+  }
+
+  if (state.mode) {
+    controlPanel?.setMode?.(state.mode);
+  }
+  if (state.bet != null) {
+    controlPanel?.setBetInputValue?.(state.bet);
+  }
+  selectionPending = false;
+  // The stake was taken when the round was dealt, so the board is rebuilt
+  // without placing a new bet: no debit and no new fairness nonce.
+  game.stopReplay?.();
+  applyMinesOption(controlPanel?.getMinesValue?.(), { syncGame: true });
+  prepareForNewRoundState();
+  manualRoundNeedsReset = false;
+  game.reset();
+
+  const assignments = state.assignments ?? [];
+  currentRoundAssignments.clear();
+  for (const entry of assignments) {
+    currentRoundAssignments.set(
+      getCardKey(entry.row, entry.col),
+      entry.contentKey
+    );
+  }
+  for (const entry of state.revealed) {
+    if (entry.contentKey != null) {
+      currentRoundAssignments.set(
+        getCardKey(entry.row, entry.col),
+        entry.contentKey
+      );
+    }
+  }
+  currentBetResult = state.outcome?.betResult ?? null;
+  currentRoundPayout = demoMode ? state.payout ?? null : null;
+  demoRoundCharged = currentRoundPayout != null;
+  game.restoreRound(assignments, state.outcome ?? {}, state.revealed);
+  if (!demoMode) {
+    // A server round's claim is checked like a live round's: from
+    // `round-state` when it has one, otherwise with the final reveal.
+    serverRoundBet = coerceNumericValue(state.bet) ?? getCurrentBetAmount();
+    if (state.outcome?.betResult && state.outcome.payoutMultiplier != null) {
+      applyServerOutcome(state.outcome);
+    }
+  }
+
+  if (controlPanelMode === "auto" && roundActive) {
+    revealRemainingTilesAndFinalize();
+  }
+  return true;
+}
+
+function refreshBalanceDisplay() {
+  controlPanel?.setBalance?.(
+    demoMode ? demoWallet.balance : serverBalance ?? "-"
+  );
+}
+
+function getCurrentBetAmount() {
+  return Math.max(0, coerceNumericValue(controlPanel?.getBetValue?.()) ?? 0);
+}
+
+// Only demo bets are checked locally; the server validates real ones.
+function canAffordDemoBet() {
+  if (!demoMode || demoWallet.canAfford(getCurrentBetAmount())) {
+    return true;
+  }
+  controlPanel?.showBetAmountTooltip?.("Insufficient balance");
+  return false;
+}
+
+function isBetWithinLimits() {
+  const violation = describeBetLimitViolation(
+    getCurrentBetAmount(),
+    gameConfig.betLimits
+  );
+  if (violation) {
+    controlPanel?.showBetAmountTooltip?.(violation);
+  }
+  return !violation;
+}
+
+demoWallet.addEventListener("change", () => {
+  if (demoMode) {
+    refreshBalanceDisplay();
+    publishBalance();
+  }
+});
+
+function publishBalance() {
+  if (!sessionCoordinator.isActive) {
+    return;
+  }
+  sessionCoordinator.publish("balance", {
+    demo: demoMode,
+    balance: demoMode ? demoWallet.balance : serverBalance,
+  });
+}
+
 function sendRelayMessage(type, payload = {}) {
   if (demoMode || suppressRelay) {
-    return;
+    return false;
+  }
+  return serverRelay.send(type, payload);
+}
+
+// Like `sendRelayMessage`, but waits for the server's reply; returns null
+// when nothing was sent.
+function requestRelay(type, payload, options) {
+  if (demoMode || suppressRelay) {
+    return null;
   }
-  serverRelay.send(type, payload);
+  return serverRelay.request(type, payload, options);
+}
+
+function createIdempotencyKey(prefix) {
+  const unique =
+    globalThis.crypto?.randomUUID?.() ??
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  return `${prefix}-${unique}`;
+}
+
+function describeRequestFailure(error) {
+  return error?.code === "timeout"
+    ? "The server did not respond. Please try again."
+    : "The request could not be sent.";
+}
+
+function handleIntegrityViolation(verification) {
+  sendRelayMessage("game:integrity-violation", {
+    source: verification.source,
+    mismatches: verification.mismatches,
+    claim: verification.claim,
+    expected: verification.expected,
+    fairness: game?.getRoundFairness?.() ?? null,
+  });
 }
 
 function setDemoMode(value) {
@@ -122,17 +476,20 @@ function setDemoMode(value) {
   demoMode = next;
   serverRelay.setDemoMode(next);
   serverDummyUI?.setDemoMode?.(next);
+  refreshBalanceDisplay();
+  setControlPanelBetState(betButtonRequestedClickable);
 
   if (demoMode) {
     clearSelectionDelay();
   }
 }
 
-function applyServerReveal(payload = {}) {
+// Incoming payloads have already been validated by the relay protocol.
+function applyServerReveal(payload) {
   clearSelectionDelay();
   selectionPending = false;
-  const contentKey = payload?.contentKey ?? payload?.result ?? null;
-  if (typeof payload?.row === "number" && typeof payload?.col === "number") {
+  const contentKey = payload.contentKey ?? payload.result ?? null;
+  if (payload.row != null && payload.col != null) {
     currentRoundAssignments.set(
       getCardKey(payload.row, payload.col),
       contentKey
@@ -141,21 +498,133 @@ function applyServerReveal(payload = {}) {
   game?.revealSelectedCard?.(contentKey);
 }
 
-function applyAutoResultsFromServer(results = []) {
+function rememberServerFaces(results) {
+  for (const entry of results) {
+    currentRoundAssignments.set(
+      getCardKey(entry.row, entry.col),
+      entry.contentKey ?? entry.result ?? null
+    );
+  }
+}
+
+function applyAutoResultsFromServer(results) {
   clearSelectionDelay();
   selectionPending = false;
-  if (!Array.isArray(results) || results.length === 0) {
+  if (results.length === 0) {
     return;
   }
-  results.forEach((entry) => {
-    if (typeof entry?.row === "number" && typeof entry?.col === "number") {
-      currentRoundAssignments.set(
-        getCardKey(entry.row, entry.col),
-        entry.contentKey ?? entry.result ?? null
-      );
+  rememberServerFaces(results);
+  game?.revealAutoSelections?.(results);
+}
+
+// Server rounds are dealt face down with only the round's metadata; each
+// face arrives when its card is revealed.
+function startServerRound(payload) {
+  performBet();
+  game?.reset?.();
+  currentBetResult = null;
+  currentRoundPayout = null;
+  currentRoundAssignments.clear();
+  serverRoundBet = coerceNumericValue(payload.bet) ?? getCurrentBetAmount();
+  game?.setRoundAssignments?.([], { fairness: payload.fairness ?? null });
+  setControlPanelRandomState(true);
+}
+
+// The server's claim comes with the reveal that completes the board and has
+// to reach the game before that reveal, which checks it against the faces.
+// Its payout and multiplier settle the round for the session stats.
+function applyServerOutcome(outcome) {
+  if (!outcome) {
+    return;
+  }
+  const bet = serverRoundBet ?? getCurrentBetAmount();
+  const multiplier = outcome.payoutMultiplier;
+  const payout = outcome.payout ?? bet * multiplier;
+  const winningKeys = outcome.winningKeys ?? [];
+  currentBetResult = outcome.betResult;
+  currentRoundPayout = {
+    betResult: outcome.betResult,
+    winningKey: winningKeys[0] ?? null,
+    winningKeys,
+    winningCells: [],
+    bet,
+    multiplier,
+    payout,
+    profit: payout - bet,
+  };
+  game?.setRoundClaim?.({
+    betResult: outcome.betResult,
+    winningKeys,
+    payoutMultiplier: multiplier,
+    payoutAmount: payout,
+  });
+}
+
+// Asked by the game when the rest of a face-down board has to be shown; the
+// server answers with all of the faces in one `reveal-batch`.
+function requestRemainingFaces(cells) {
+  if (remainingFacesPending) {
+    return;
+  }
+  const request = requestRelay(
+    "game:reveal-remaining",
+    { cells },
+    {
+      timeoutMs: SELECTION_REQUEST_TIMEOUT_MS,
+      retries: REQUEST_RETRIES,
+      idempotencyKey: createIdempotencyKey("reveal"),
     }
+  );
+  if (!request) {
+    return;
+  }
+  remainingFacesPending = true;
+  request
+    .catch((error) => {
+      console.warn("Reveal request failed", error);
+      if (roundActive) {
+        applyRoundInteractiveState(game?.getState?.());
+        controlPanel?.showBetAmountTooltip?.(describeRequestFailure(error));
+      }
+    })
+    .finally(() => {
+      remainingFacesPending = false;
+    });
+}
+
+// Rolls back whatever the failed request had locked (a pending selection, the
+// bet controls, an auto run) and tells the player why. Fatal errors end the
+// session until the page is reloaded.
+function handleServerError(payload) {
+  const error = describeServerError(payload, { locale });
+  console.warn(`Server error '${error.code}'`, payload.message ?? "");
+
+  if (autoRunActive) {
+    stopAutoBetProcess({ reason: "error", completed: error.fatal });
+  }
+  const hadPendingSelection = selectionPending;
+  clearSelectionDelay();
+  if (hadPendingSelection) {
+    game?.clearSelection?.();
+  }
+
+  if (error.fatal) {
+    serverRelay.cancelRequests(error.code);
+    relayTransport?.disconnect?.();
+    setControlPanelLoadingState(true);
+    setGameBoardInteractivity(false);
+    fatalErrorOverlay?.show(error.message);
+    return;
+  }
+
+  if (roundActive) {
+    applyRoundInteractiveState(game?.getState?.());
+  } else if (controlPanelMode === "manual") {
+    restoreServerRoundSetupControls();
+  }
+  toastStack?.show(error.message, {
+    tone: error.retryable ? "warning" : "error",
   });
-  game?.revealAutoSelections?.(results);
 }
 
 const serverDummyMount =
@@ -165,6 +634,7 @@ serverDummyUI = createServerDummy(serverRelay, {
   onDemoModeToggle: (value) => setDemoMode(value),
   initialDemoMode: demoMode,
   initialHidden: true,
+  getCardTypes: () => paytable.getEntries().map((entry) => entry.key),
   onVisibilityChange: (isVisible) => {
     controlPanel?.setDummyServerPanelVisibility?.(isVisible);
   },
@@ -175,43 +645,69 @@ controlPanel?.setDummyServerPanelVisibility?.(
 serverRelay.setDemoMode(demoMode);
 
 serverRelay.addEventListener("incoming", (event) => {
-  const { type, payload } = event.detail ?? {};
+  const { type, payload } = event.detail;
   withRelaySuppressed(() => {
     switch (type) {
       case "start-bet":
-        performBet();
-        setControlPanelRandomState(true);
+        startServerRound(payload);
         break;
       case "bet-result":
+        applyServerOutcome(payload.outcome);
         applyServerReveal(payload);
         break;
       case "auto-bet-result":
-        applyAutoResultsFromServer(payload?.results);
+        applyServerOutcome(payload.outcome);
+        applyAutoResultsFromServer(payload.results);
+        break;
+      case "reveal-batch":
+        applyServerOutcome(payload.outcome);
+        rememberServerFaces(payload.results);
+        game?.revealRemainingTiles?.({ faces: payload.results });
         break;
       case "stop-autobet":
         stopAutoBetProcess({
-          reason: typeof payload?.reason === "string" ? payload.reason : "user",
-          completed: Boolean(payload?.completed),
+          reason: payload.reason ?? "user",
+          completed: payload.completed ?? false,
         });
         break;
       case "finalize-bet":
         finalizeRound();
         break;
+      case "round-state":
+        restoreRoundState(payload);
+        break;
+      case "error":
+        handleServerError(payload);
+        break;
+      case "config":
+        if (game) {
+          console.warn("Ignoring config received after the game started");
+        } else {
+          resolveServerConfig(payload);
+        }
+        break;
       case "cashout":
         if (roundActive && cashoutAvailable) {
           handleCashout();
         }
         break;
-      case "profit:update-multiplier": {
-        const incomingValue =
-          payload?.numericValue ?? payload?.value ?? null;
-        setTotalProfitMultiplierValue(incomingValue);
+      case "profit:update-multiplier":
+        setTotalProfitMultiplierValue(
+          payload.numericValue ?? payload.value ?? null
+        );
         break;
-      }
-      case "profit:update-total": {
-        const incomingValue =
-          payload?.numericValue ?? payload?.value ?? null;
-        setTotalProfitAmountValue(incomingValue);
+      case "profit:update-total":
+        setTotalProfitAmountValue(payload.numericValue ?? payload.value ?? null);
+        break;
+      case "balance:update": {
+        const incomingValue = coerceNumericValue(
+          payload.numericValue ?? payload.balance ?? payload.value
+        );
+        if (incomingValue != null) {
+          serverBalance = Math.max(0, incomingValue);
+          refreshBalanceDisplay();
+          publishBalance();
+        }
         break;
       }
       default:
@@ -227,11 +723,101 @@ serverRelay.addEventListener("demomodechange", (event) => {
   }
   demoMode = value;
   serverDummyUI?.setDemoMode?.(value);
+  refreshBalanceDisplay();
+  setControlPanelBetState(betButtonRequestedClickable);
   if (demoMode) {
     clearSelectionDelay();
   }
 });
 
+serverRelay.addEventListener("connectionchange", (event) => {
+  connectionBanner?.update(event.detail);
+  setControlPanelBetState(betButtonRequestedClickable);
+});
+
+function createRelayTransport() {
+  if (embedOrigins) {
+    return new PostMessageTransport({
+      allowedOrigins: embedOrigins.split(","),
+      sessionToken: launchParams.get("token"),
+    });
+  }
+  return relayUrl ? new WebSocketTransport(relayUrl) : null;
+}
+
+try {
+  toastStack = new ToastStack(".game-container");
+  fatalErrorOverlay = new FatalErrorOverlay(document.body, {
+    title: getErrorText("fatalTitle", locale),
+    reloadLabel: getErrorText("reload", locale),
+  });
+  fatalErrorOverlay.addEventListener("reload", () => window.location.reload());
+} catch (err) {
+  console.error("Error notices failed to initialize", err);
+}
+
+try {
+  relayTransport = createRelayTransport();
+  if (relayTransport) {
+    connectionBanner = new ConnectionBanner(".game-container");
+    connectionBanner.addEventListener("retry", () => relayTransport.connect());
+    serverRelay.setTransport(relayTransport);
+    // Connected once this tab holds the session (see handleSessionLockChange).
+    window.addEventListener("pagehide", () => relayTransport.disconnect());
+  }
+} catch (err) {
+  console.error("Relay transport failed to start", err);
+}
+
+function handleSessionLockChange(active) {
+  document.querySelector(".app-wrapper")?.toggleAttribute("inert", !active);
+  if (active) {
+    sessionLockOverlay?.hide();
+    if (!fatalErrorOverlay?.isVisible) {
+      relayTransport?.connect();
+    }
+    return;
+  }
+  if (autoRunActive) {
+    stopAutoBetProcess({ reason: "session" });
+  }
+  relayTransport?.disconnect();
+  sessionLockOverlay?.show();
+}
+
+try {
+  sessionLockOverlay = new SessionLockOverlay(document.body);
+  sessionLockOverlay.addEventListener("takeover", () =>
+    sessionCoordinator.takeOver()
+  );
+} catch (err) {
+  console.error("Session lock overlay failed to initialize", err);
+}
+
+sessionCoordinator.addEventListener("statechange", (event) => {
+  handleSessionLockChange(event.detail.active);
+});
+// A tab that just opened starts out with the default demo balance.
+sessionCoordinator.addEventListener("claim", () => publishBalance());
+sessionCoordinator.addEventListener("sync", (event) => {
+  const { type, payload } = event.detail;
+  if (type === "history") {
+    betHistory.reload();
+  } else if (type === "balance" && payload.demo === demoMode) {
+    if (demoMode) {
+      demoWallet.setBalance(payload.balance, { reason: "sync" });
+    } else if (payload.balance != null) {
+      serverBalance = payload.balance;
+      refreshBalanceDisplay();
+    }
+  }
+});
+window.addEventListener("pagehide", () => sessionCoordinator.release());
+window.addEventListener("pageshow", (event) => {
+  if (event.persisted) sessionCoordinator.start();
+});
+sessionCoordinator.start();
+
 function setControlPanelBetMode(mode) {
   const normalized =
     mode === "cashout" ? "cashout" : mode === "scratch" ? "scratch" : "bet";
@@ -239,10 +825,12 @@ function setControlPanelBetMode(mode) {
   controlPanel?.setBetButtonMode?.(betButtonMode);
 }
 
+// Real-mode bets need a live relay connection; the requested state is kept
+// so the button comes back once the connection does.
 function setControlPanelBetState(isClickable) {
-  controlPanel?.setBetButtonState?.(
-    isClickable ? "clickable" : "non-clickable"
-  );
+  betButtonRequestedClickable = Boolean(isClickable);
+  const clickable = isClickable && (demoMode || serverRelay.isConnected);
+  controlPanel?.setBetButtonState?.(clickable ? "clickable" : "non-clickable");
 }
 
 function setControlPanelRandomState(isClickable) {
@@ -306,6 +894,14 @@ function disableServerRoundSetupControls() {
   controlPanel?.setBetControlsClickable?.(false);
 }
 
+function restoreServerRoundSetupControls() {
+  setControlPanelBetState(true);
+  setControlPanelRandomState(false);
+  setControlPanelMinesState(true);
+  controlPanel?.setModeToggleClickable?.(true);
+  controlPanel?.setBetControlsClickable?.(true);
+}
+
 function normalizeMinesValue(value, maxMines) {
   const numeric = Math.floor(Number(value));
   let mines = Number.isFinite(numeric) ? numeric : 1;
@@ -411,9 +1007,28 @@ function clearAutoRoundTimer() {
   }
 }
 
-function determineDemoBetResult() {
-  const lostProbability = Math.random() < 0.4;
-  const betResult = lostProbability ? "lost" : "win";
+function beginFairRound() {
+  currentRoundFairness = fairnessSession.nextRound();
+  return currentRoundFairness;
+}
+
+function getRoundRandom(label) {
+  return currentRoundFairness?.rng?.fork?.(label) ?? createRandomSource();
+}
+
+function getRoundFairnessInfo() {
+  if (!currentRoundFairness) {
+    return null;
+  }
+  return {
+    serverSeedHash: currentRoundFairness.serverSeedHash,
+    clientSeed: currentRoundFairness.clientSeed,
+    nonce: currentRoundFairness.nonce,
+  };
+}
+
+function resolveDemoBetResult() {
+  const betResult = determineDemoBetResult(getRoundRandom("outcome"));
   console.log(`[Scratch Cards] Bet result: ${betResult}`);
   return betResult;
 }
@@ -423,14 +1038,27 @@ function executeAutoBetRound() {
     return;
   }
 
+  if (!isBetWithinLimits()) {
+    stopAutoBetProcess({ reason: "limit" });
+    return;
+  }
+
   autoRoundInProgress = true;
 
   if (!demoMode && !suppressRelay) {
-    sendRelayMessage("game:auto-round-request", {});
+    sendRelayMessage("game:auto-round-request", {
+      bet: controlPanel?.getBetValue?.(),
+    });
     return;
   }
 
-  const betResult = determineDemoBetResult();
+  if (!canAffordDemoBet()) {
+    stopAutoBetProcess({ reason: "balance" });
+    return;
+  }
+
+  beginFairRound();
+  const betResult = resolveDemoBetResult();
   handleBet(betResult);
 
   setTimeout(() => {
@@ -456,11 +1084,41 @@ function scheduleNextAutoBetRound(delay = autoResetDelayMs) {
   }, delay);
 }
 
-function startAutoBetProcess() {
-  if (autoRunActive || controlPanelMode !== "auto") {
+async function applyStrategyScript(source) {
+  controlPanel?.setStrategyScriptStatus?.({ message: "Checking script..." });
+  try {
+    const script = await compileStrategyScript(source);
+    controlPanel?.setStrategyScriptStatus?.({ message: "Script is valid" });
+    return script;
+  } catch (error) {
+    controlPanel?.setStrategyScriptStatus?.({ error: error.message });
+    return null;
+  }
+}
+
+async function startAutoBetProcess() {
+  if (autoRunActive || autoStartPending || controlPanelMode !== "auto") {
     return;
   }
 
+  const strategyConfig = controlPanel?.getAutoStrategy?.() ?? {};
+  let script = null;
+  if (strategyConfig.strategy === SCRIPT_STRATEGY) {
+    autoStartPending = true;
+    try {
+      script = await applyStrategyScript(strategyConfig.scriptSource);
+    } finally {
+      autoStartPending = false;
+    }
+    if (!script || autoRunActive || controlPanelMode !== "auto") {
+      return;
+    }
+  }
+  if (!isBetWithinLimits()) {
+    return;
+  }
+
+  autoRunId += 1;
   autoRunActive = true;
   autoRoundInProgress = false;
   autoStopPending = false;
@@ -470,6 +1128,12 @@ function startAutoBetProcess() {
     Math.floor(Number(controlPanel?.getNumberOfBetsValue?.()) || 0)
   );
   autoRemainingBets = configuredBets;
+  autoBetStrategy.start({
+    ...strategyConfig,
+    baseBet: getCurrentBetAmount(),
+    script,
+  });
+  lastSettledRound = null;
 
   if (!demoMode && !suppressRelay) {
     const payload = { numberOfBets: configuredBets };
@@ -488,6 +1152,7 @@ function stopAutoBetProcess({ reason = "user", completed = false } = {}) {
   const wasActive = autoRunActive;
   autoRunActive = false;
   autoRoundInProgress = false;
+  autoBetStrategy.dispose();
 
   if (!demoMode && !suppressRelay && wasActive) {
     sendRelayMessage("action:stop-autobet", {
@@ -530,7 +1195,7 @@ function applyRoundInteractiveState(state) {
   }
 
   const revealedCount = state?.revealed ?? 0;
-  const totalTiles = state?.totalTiles ?? GRID_SIZE * GRID_SIZE;
+  const totalTiles = state?.totalTiles ?? getTileCount(gameConfig.grid);
 
   if (selectionPending || state?.waitingForChoice) {
     setControlPanelBetState(false);
@@ -581,6 +1246,13 @@ function prepareForNewRoundState() {
 }
 
 function finalizeRound() {
+  const wasRoundActive = roundActive;
+  const settled = settleRoundPayout();
+  if (wasRoundActive) {
+    recordRoundHistory(settled);
+    roundSnapshots.clear();
+    sessionCoordinator.publish("history");
+  }
   roundActive = false;
   cashoutAvailable = false;
   clearSelectionDelay();
@@ -623,9 +1295,16 @@ function handleBetButtonClick() {
   } else if (betButtonMode === "scratch") {
     handleScratchButtonClick();
   } else {
+    if (!isBetWithinLimits()) {
+      return;
+    }
     let betResult = "lost";
     if (demoMode || suppressRelay) {
-      betResult = determineDemoBetResult();
+      if (!canAffordDemoBet()) {
+        return;
+      }
+      beginFairRound();
+      betResult = resolveDemoBetResult();
     }
     handleBet(betResult);
   }
@@ -666,11 +1345,21 @@ function revealRemainingTilesAndFinalize() {
   }
 
   markManualRoundForReset();
+  if (!demoMode && !suppressRelay) {
+    // The hidden faces come from the server (see `requestRemainingFaces`);
+    // the finished board then ends the round.
+    setControlPanelBetState(false);
+    game?.revealRemainingTiles?.();
+    return;
+  }
+
   game?.revealRemainingTiles?.();
   finalizeRound();
 }
 
 function performBet() {
+  game?.stopReplay?.();
+  demoRoundCharged = demoMode && demoWallet.debit(getCurrentBetAmount());
   applyMinesOption(controlPanel?.getMinesValue?.(), {
     syncGame: true,
   });
@@ -678,97 +1367,36 @@ function performBet() {
   manualRoundNeedsReset = false;
 }
 
-function getCardKey(row, col) {
-  return `${row},${col}`;
-}
-
-function shuffleArray(values = []) {
-  const array = [...values];
-  for (let i = array.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
-  }
-  return array;
-}
-
-function createCardPositions() {
-  const positions = [];
-  for (let row = 0; row < GRID_SIZE; row += 1) {
-    for (let col = 0; col < GRID_SIZE; col += 1) {
-      positions.push({ row, col });
-    }
-  }
-  return positions;
-}
-
-function generateScratchCardAssignments(betResult) {
-  const cardTypes =
-    Array.isArray(availableCardTypes) && availableCardTypes.length > 0
-      ? [...availableCardTypes]
-      : [null];
-  const positions = shuffleArray(createCardPositions());
-  const assignments = [];
-  const counts = new Map(cardTypes.map((key) => [key, 0]));
-  let winningKey = null;
-
-  if (betResult === "win") {
-    const shuffledTypes = shuffleArray(cardTypes);
-    const primaryType = shuffledTypes.length > 0 ? shuffledTypes[0] ?? null : null;
-    winningKey = primaryType ?? null;
-    const primarySlots = Math.min(3, positions.length);
-    for (let i = 0; i < primarySlots; i += 1) {
-      const position = positions.shift();
-      if (!position) break;
-      assignments.push({
-        row: position.row,
-        col: position.col,
-        contentKey: primaryType,
-      });
-      counts.set(primaryType, (counts.get(primaryType) ?? 0) + 1);
-    }
-
-    for (const position of positions) {
-      const available = cardTypes.filter((type) => {
-        if (type === primaryType) {
-          return (counts.get(type) ?? 0) < 3;
-        }
-        return (counts.get(type) ?? 0) < 2;
-      });
-      const pool = available.length > 0 ? available : cardTypes;
-      const choice = pool[Math.floor(Math.random() * pool.length)] ?? null;
-      counts.set(choice, (counts.get(choice) ?? 0) + 1);
-      assignments.push({
-        row: position.row,
-        col: position.col,
-        contentKey: choice,
-      });
-    }
-  } else {
-    for (const position of positions) {
-      const available = cardTypes.filter(
-        (type) => (counts.get(type) ?? 0) < 2
-      );
-      const pool = available.length > 0 ? available : cardTypes;
-      const choice = pool[Math.floor(Math.random() * pool.length)] ?? null;
-      counts.set(choice, (counts.get(choice) ?? 0) + 1);
-      assignments.push({
-        row: position.row,
-        col: position.col,
-        contentKey: choice,
-      });
-    }
-  }
-
-  return { assignments, winningKey };
-}
-
 function prepareScratchRound(betResult) {
   currentBetResult = betResult;
   if (!game) {
     return;
   }
 
-  const { assignments, winningKey } = generateScratchCardAssignments(betResult);
+  const {
+    assignments,
+    winningKey,
+    winningKeys,
+    wins,
+    multiplierCells,
+    roundMultiplier,
+    totalMultiplier,
+  } = generateScratchCardAssignments(
+    betResult,
+    {
+      cardTypes: availableCardTypes,
+      gridSize: gameConfig.grid,
+      paytable,
+      random: getRoundRandom("assignments"),
+      winRules,
+    }
+  );
+  const fairness = getRoundFairnessInfo();
+  if (fairness) {
+    console.log(
+      `[Scratch Cards] Round #${fairness.nonce} server seed hash: ${fairness.serverSeedHash}`
+    );
+  }
   currentRoundAssignments.clear();
   for (const entry of assignments) {
     currentRoundAssignments.set(
@@ -776,25 +1404,62 @@ function prepareScratchRound(betResult) {
       entry.contentKey ?? null
     );
   }
-  const totalWinningCards =
-    winningKey != null
-      ? assignments.filter((entry) => entry.contentKey === winningKey).length
-      : 0;
+  currentRoundPayout = {
+    ...computeRoundPayout(betResult, winningKey, totalMultiplier),
+    winningKeys,
+    winningCells: wins.flatMap((win) =>
+      win.cells.map((cell) => ({ row: cell.row, col: cell.col }))
+    ),
+  };
+  game?.setRandomSource?.(currentRoundFairness?.rng ?? null);
   game?.setRoundAssignments?.(assignments, {
     betResult,
     winningKey,
-    totalWinningCards,
+    winningKeys,
+    wins,
+    multiplierCells: betResult === "win" ? multiplierCells : [],
+    roundMultiplier,
+    fairness,
+    payoutMultiplier: currentRoundPayout.multiplier,
+    payoutAmount: currentRoundPayout.payout,
   });
 }
 
 function handleBet(betResult = "lost") {
   if (!demoMode && !suppressRelay) {
     disableServerRoundSetupControls();
-    sendRelayMessage("action:bet", {
-      bet: controlPanel?.getBetValue?.(),
-      mines: controlPanel?.getMinesValue?.(),
-      result: betResult,
-    });
+    requestRelay(
+      "action:bet",
+      {
+        bet: controlPanel?.getBetValue?.(),
+        mines: controlPanel?.getMinesValue?.(),
+      },
+      {
+        timeoutMs: BET_REQUEST_TIMEOUT_MS,
+        retries: REQUEST_RETRIES,
+        idempotencyKey: createIdempotencyKey("bet"),
+      }
+    )
+      ?.then((reply) => {
+        // Anything but `start-bet` means the server turned the bet down;
+        // an `error` reply has already been reported by handleServerError.
+        if (
+          reply.type !== "start-bet" &&
+          reply.type !== "error" &&
+          !roundActive
+        ) {
+          restoreServerRoundSetupControls();
+          controlPanel?.showBetAmountTooltip?.("The bet was not accepted.");
+        }
+      })
+      .catch((error) => {
+        console.warn("Bet request failed", error);
+        // A reply may still have started the round through another path.
+        if (!roundActive) {
+          restoreServerRoundSetupControls();
+          controlPanel?.showBetAmountTooltip?.(describeRequestFailure(error));
+        }
+      });
     return;
   }
 
@@ -820,6 +1485,7 @@ function handleGameStateChange(state) {
     return;
   }
 
+  saveDemoRoundSnapshot();
   applyRoundInteractiveState(state);
 }
 
@@ -831,7 +1497,7 @@ function handleRandomPickClick() {
   game?.selectRandomTile?.();
 }
 
-function handleAutoRoundCompleted() {
+async function handleAutoRoundCompleted() {
   const hadFiniteLimit = autoRemainingBets > 0;
   if (hadFiniteLimit) {
     autoRemainingBets = Math.max(0, autoRemainingBets - 1);
@@ -844,6 +1510,29 @@ function handleAutoRoundCompleted() {
     return;
   }
 
+  if (demoMode && lastSettledRound) {
+    const runId = autoRunId;
+    const settled = lastSettledRound;
+    lastSettledRound = null;
+    const adjustment = await autoBetStrategy.recordRound(settled);
+    if (runId !== autoRunId || !autoRunActive) {
+      return;
+    }
+    const { nextBet, stopReason, error } = adjustment;
+    serverRelay.log("autobet:adjustment", {
+      ...adjustment,
+      error: error?.message ?? null,
+    });
+    if (error) {
+      controlPanel?.setStrategyScriptStatus?.({ error: error.message });
+    }
+    controlPanel?.setBetInputValue?.(nextBet);
+    if (stopReason) {
+      stopAutoBetProcess({ reason: stopReason, completed: true });
+      return;
+    }
+  }
+
   if (hadFiniteLimit && autoRemainingBets === 0) {
     stopAutoBetProcess({ reason: "completed", completed: true });
     return;
@@ -873,7 +1562,20 @@ function handleCardSelected(selection) {
       row: selection?.row,
       col: selection?.col,
     };
-    sendRelayMessage("game:manual-selection", payload);
+    requestRelay("game:manual-selection", payload, {
+      timeoutMs: SELECTION_REQUEST_TIMEOUT_MS,
+      retries: REQUEST_RETRIES,
+      idempotencyKey: createIdempotencyKey("select"),
+    })?.catch((error) => {
+      console.warn("Selection request failed", error);
+      if (!roundActive || !selectionPending) {
+        return;
+      }
+      selectionPending = false;
+      game?.clearSelection?.();
+      applyRoundInteractiveState(game?.getState?.());
+      controlPanel?.showBetAmountTooltip?.(describeRequestFailure(error));
+    });
     return;
   }
 
@@ -908,19 +1610,15 @@ const opts = {
   size: 600,
   backgroundColor: "#091B26",
   fontFamily: "Inter, system-ui, -apple-system, Segoe UI, Arial",
-  grid: GRID_SIZE,
+  // grid, winRules, paytable, scratchEnabled and the animation timings are
+  // filled in by applyGameConfig.
   mines: 1,
-  autoResetDelayMs: AUTO_RESET_DELAY_MS,
   iconSizePercentage: 0.7,
   iconRevealedSizeOpacity: 0.2,
   iconRevealedSizeFactor: 0.7,
-  cardsSpawnDuration: 350,
-  revealAllIntervalDelay: 40,
   strokeWidth: 1,
   gapBetweenTiles: 0.013,
   hoverEnabled: true,
-  hoverEnterDuration: 120,
-  hoverExitDuration: 200,
   hoverTiltAxis: "x",
   hoverSkewAmount: 0.00,
   disableAnimations: false,
@@ -929,10 +1627,9 @@ const opts = {
   wiggleSelectionTimes: 15,
   wiggleSelectionIntensity: 0.03,
   wiggleSelectionScale: 0.005,
-  flipDelayMin: 150,
-  flipDelayMax: 500,
-  flipDuration: 300,
   flipEaseFunction: "easeInOutSine",
+  scratchBrushSize: 0.14,
+  scratchRevealThreshold: 0.55,
   useAnimatedSpritesheets,
   cardIconScale,
   cardIconOffsetX,
@@ -945,16 +1642,49 @@ const opts = {
   gameStartSoundPath: gameStartSoundUrl,
   roundWinSoundPath: roundWinSoundUrl,
   roundLostSoundPath: roundLostSoundUrl,
-  winPopupShowDuration: 260,
   winPopupWidth: 260,
   winPopupHeight: 200,
   getMode: () => controlPanelMode,
   onCardSelected: (selection) => handleCardSelected(selection),
   onChange: handleGameStateChange,
+  onIntegrityViolation: handleIntegrityViolation,
+  onRequestFaces: requestRemainingFaces,
 };
 
+function applyGameConfig(config) {
+  gameConfig = resolveGameConfig(config);
+  paytable = createPaytable(gameConfig.paytable);
+  winRules = createWinRules(gameConfig.winRules, gameConfig.grid);
+  Object.assign(opts, gameConfig.animations, {
+    grid: gameConfig.grid,
+    winRules: gameConfig.winRules,
+    paytable: gameConfig.paytable,
+    scratchEnabled: gameConfig.features.scratch,
+  });
+  autoResetDelayMs = gameConfig.animations.autoResetDelayMs;
+  document.title = gameConfig.gameName;
+}
+
+async function loadGameConfig() {
+  if (demoMode) {
+    return DEFAULT_GAME_CONFIG;
+  }
+  let timeoutHandle = null;
+  const timeout = new Promise((resolve) => {
+    timeoutHandle = setTimeout(() => resolve(null), CONFIG_TIMEOUT_MS);
+  });
+  const config = await Promise.race([serverConfig, timeout]);
+  clearTimeout(timeoutHandle);
+  if (!config) {
+    console.warn("No config message received; using the demo configuration");
+  }
+  return config ?? DEFAULT_GAME_CONFIG;
+}
+
 (async () => {
-  const totalTiles = opts.grid * opts.grid;
+  await sessionCoordinator.whenActive();
+  applyGameConfig(await loadGameConfig());
+  const totalTiles = getTileCount(opts.grid);
   const maxMines = Math.max(1, totalTiles - 1);
   const initialMines = Math.max(1, Math.min(opts.mines ?? 1, maxMines));
   opts.mines = initialMines;
@@ -962,11 +1692,27 @@ const opts = {
   // Initialize Control Panel
   try {
     controlPanel = new ControlPanel("#control-panel", {
-      gameName: "Flip Cards - Mermaids",
+      gameName: gameConfig.gameName,
+      currencySymbol: gameConfig.currency.symbol,
+      currencyIconUrl: gameConfig.currency.iconUrl ?? undefined,
+      autoModeEnabled: gameConfig.features.autoBet,
       totalTiles,
       maxMines,
       initialMines,
+      strategyOptions: [
+        { value: "custom", label: "Custom" },
+        ...Object.entries(STRATEGY_PRESETS).map(([value, preset]) => ({
+          value,
+          label: preset.label,
+          description: preset.description,
+        })),
+        ...(gameConfig.features.strategyScript
+          ? [{ value: SCRIPT_STRATEGY, label: "Script" }]
+          : []),
+      ],
     });
+    refreshBalanceDisplay();
+    setControlPanelBetState(betButtonRequestedClickable);
     controlPanelMode = controlPanel?.getMode?.() ?? "manual";
     controlPanel.addEventListener("modechange", (event) => {
       const nextMode = event.detail?.mode === "auto" ? "auto" : "manual";
@@ -1054,6 +1800,14 @@ const opts = {
         value: event.detail?.value,
       });
     });
+    controlPanel.addEventListener("strategypresetchange", (event) => {
+      sendRelayMessage("control:strategy-preset", {
+        value: event.detail?.value,
+      });
+    });
+    controlPanel.addEventListener("strategyscriptapply", (event) => {
+      applyStrategyScript(event.detail?.source);
+    });
     controlPanel.addEventListener("stoponprofitchange", (event) => {
       sendRelayMessage("control:stop-on-profit", {
         value: event.detail?.value,
@@ -1076,9 +1830,9 @@ const opts = {
     controlPanel.addEventListener("randompick", handleRandomPickClick);
     controlPanel.addEventListener("startautobet", handleStartAutobetClick);
     finalizeRound();
-    controlPanel.setBetAmountDisplay("$0.00");
+    controlPanel.setBetAmountDisplay(formatProfitOnWinDisplay(0));
     setTotalProfitMultiplierValue(0.0);
-    controlPanel.setProfitOnWinDisplay("$0.00");
+    controlPanel.setProfitOnWinDisplay(formatProfitOnWinDisplay(0));
     setTotalProfitAmountValue("0.00000000");
     opts.disableAnimations = !(controlPanel.getAnimationsEnabled?.() ?? true);
     controlPanel.setDummyServerPanelVisibility(
@@ -1089,17 +1843,90 @@ const opts = {
     console.error("Control panel initialization failed:", err);
   }
 
+  // Initialize Bet History
+  if (!gameConfig.features.betHistory) {
+    document.querySelector("#bet-history")?.setAttribute("hidden", "");
+  } else {
+    try {
+      betHistoryPanel = new BetHistoryPanel("#bet-history", {
+        getSymbolLabel: (key) =>
+          winRules.specialSymbols.get(key)?.label ??
+          String(key).replace(/^cardType_/, ""),
+      });
+      betHistoryPanel.setEntries(betHistory.getEntries());
+      betHistory.addEventListener("change", (event) => {
+        betHistoryPanel?.setEntries(event.detail.entries);
+      });
+      betHistoryPanel.addEventListener("exporthistory", (event) => {
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        if (event.detail?.format === "csv") {
+          downloadTextFile(
+            `bet-history-${stamp}.csv`,
+            betHistory.toCSV(),
+            "text/csv"
+          );
+        } else {
+          downloadTextFile(
+            `bet-history-${stamp}.json`,
+            betHistory.toJSON(),
+            "application/json"
+          );
+        }
+      });
+      betHistoryPanel.addEventListener("clearhistory", () => {
+        betHistory.clear();
+      });
+      betHistoryPanel.addEventListener("selectentry", (event) => {
+        replayHistoryEntry(event.detail?.id);
+      });
+    } catch (err) {
+      console.error("Bet history initialization failed:", err);
+    }
+  }
+
+  // Initialize Session Stats
+  if (!gameConfig.features.sessionStats) {
+    document.querySelector("#session-stats")?.setAttribute("hidden", "");
+  } else {
+    try {
+      sessionStatsPanel = new SessionStatsPanel("#session-stats");
+      sessionStatsPanel.update(sessionStats.getSnapshot());
+      sessionStats.addEventListener("change", (event) => {
+        sessionStatsPanel?.update(event.detail);
+      });
+      sessionStatsPanel.addEventListener("resetstats", () => {
+        sessionStats.reset();
+      });
+    } catch (err) {
+      console.error("Session stats initialization failed:", err);
+    }
+  }
+  if (!gameConfig.features.betHistory && !gameConfig.features.sessionStats) {
+    document.querySelector(".session-sidebar")?.setAttribute("hidden", "");
+  }
+
   // Initialize Game
   try {
     game = await createGame("#game", opts);
-    window.game = game;
+    // Exposed for debugging demo rounds only; it would hand a curious
+    // player whatever the board knows about a real round.
+    if (demoMode) {
+      window.game = game;
+    }
+    window.fairness = {
+      getRound: () => getRoundFairnessInfo(),
+      getSession: () => fairnessSession.getPublicState(),
+      setClientSeed: (seed) => fairnessSession.setClientSeed(seed),
+      rotateServerSeed: () => fairnessSession.rotateServerSeed(),
+      verifyRound,
+    };
     availableCardTypes = game?.getCardContentKeys?.() ?? [];
     autoResetDelayMs = Number(
       game?.getAutoResetDelay?.() ?? AUTO_RESET_DELAY_MS
     );
     const state = game?.getState?.();
     if (state) {
-      const totalTiles = state.totalTiles ?? state.grid * state.grid;
+      const totalTiles = state.totalTiles ?? getTileCount(state.grid);
       if (totalTiles != null) {
         controlPanel?.setTotalTiles?.(totalTiles, { emit: false });
       }
@@ -1109,7 +1936,13 @@ const opts = {
     if (animationsEnabled != null) {
       game?.setAnimationsEnabled?.(Boolean(animationsEnabled));
     }
+    const resumeState =
+      pendingRoundState ?? (demoMode ? roundSnapshots.load() : null);
+    pendingRoundState = null;
     setControlPanelLoadingState(false);
+    if (resumeState) {
+      restoreRoundState(resumeState);
+    }
   } catch (e) {
     console.error("Game initialization failed:", e);
     const gameDiv = document.querySelector("#game");
@@ -0,0 +1,457 @@
+import { DEFAULT_GAME_CONFIG } from "../config/gameConfig.js";
+import { FairnessSession } from "../fairness/fairRng.js";
+import { getTileCount } from "../game/gridConfig.js";
+import { createPaytable } from "../game/paytable.js";
+import {
+  DEFAULT_LOSS_PROBABILITY,
+  determineDemoBetResult,
+  generateScratchCardAssignments,
+  getCardKey,
+} from "../game/roundGenerator.js";
+import { createWinRules } from "../game/winRules.js";
+import {
+  DIRECTIONS,
+  PROTOCOL_VERSION,
+  validateMessage,
+} from "../protocol/relayProtocol.js";
+import { Wallet } from "../wallet/wallet.js";
+
+const IDEMPOTENCY_CACHE_SIZE = 100;
+
+function toCell(key, round) {
+  const [row, col] = key.split(",").map(Number);
+  return { row, col, contentKey: round.assignments.get(key) };
+}
+
+function toAmount(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? Math.max(0, numeric) : 0;
+}
+
+/**
+ * Plays the backend side of the relay protocol for one player: it takes the
+ * client's outgoing messages through `receive` and answers with `message`
+ * events carrying `{ type, payload, version, replyTo }`. Rounds are dealt
+ * with the same generator and provably fair RNG as demo mode, and bets are
+ * paid from `wallet`, which can be shared between sessions.
+ *
+ * Cards are dealt face down: a face is only sent once its card is revealed,
+ * one `bet-result` per selection or a `reveal-batch` for the rest of the
+ * board. `start-bet` only carries the fairness commitment; the round's claim
+ * (`outcome`) rides on the reveal that completes the board, so the client
+ * never knows the result before the last face.
+ *
+ * Invalid or unexpected messages, bets that cannot be placed and failures
+ * while handling a message are answered with an `error` (see
+ * src/errors/serverErrors.js for the codes) and emit `rejected` with
+ * `{ type, code, errors }`. Requests that repeat an
+ * `idempotencyKey` get the original replies again.
+ *
+ * `config` is the operator config sent by `sendConfig` (see
+ * src/config/gameConfig.js); it should describe the same grid, paytable,
+ * rules and bet limits the session was created with.
+ */
+export class MockGameSession extends EventTarget {
+  constructor({
+    wallet = new Wallet(),
+    gridSize = DEFAULT_GAME_CONFIG.grid,
+    paytableConfig = DEFAULT_GAME_CONFIG.paytable,
+    winRulesConfig = DEFAULT_GAME_CONFIG.winRules,
+    lossProbability = DEFAULT_LOSS_PROBABILITY,
+    fairness = new FairnessSession(),
+    minBet = 0,
+    maxBet = Infinity,
+    config = null,
+  } = {}) {
+    super();
+    this.wallet = wallet;
+    this.gridSize = gridSize;
+    this.paytable = createPaytable(paytableConfig);
+    this.cardTypes = this.paytable.getEntries().map((entry) => entry.key);
+    this.winRules = createWinRules(winRulesConfig, gridSize);
+    this.lossProbability = lossProbability;
+    this.fairness = fairness;
+    this.minBet = minBet;
+    this.maxBet = maxBet;
+    this.config = config;
+
+    this.round = null;
+    this.betValue = 0;
+    this.autoBetActive = false;
+    this._nextRoundId = 1;
+    this._replies = new Map();
+    this._outbox = null;
+  }
+
+  get balance() {
+    return this.wallet.balance;
+  }
+
+  /** Handles one client message `{ type, payload, id, idempotencyKey }`. */
+  receive({ type, payload = {}, id = null, idempotencyKey = null, version }) {
+    const { valid, errors } = validateMessage(
+      DIRECTIONS.OUTGOING,
+      type,
+      payload,
+      { version }
+    );
+    if (!valid) {
+      this.#reject(type, errors, { code: "invalid-message", replyTo: id });
+      return false;
+    }
+
+    const cached = idempotencyKey ? this._replies.get(idempotencyKey) : null;
+    if (cached) {
+      for (const message of cached) {
+        this.#emit(
+          message.replyTo != null ? { ...message, replyTo: id } : message
+        );
+      }
+      return true;
+    }
+
+    this._outbox = [];
+    try {
+      this.#handle(type, payload, id);
+    } catch (error) {
+      // A bug here must not take the connection down; the client gets a
+      // retryable error and a retry is handled afresh.
+      this._outbox = null;
+      this.#reject(type, [error.message], {
+        code: "internal-error",
+        replyTo: id,
+      });
+      return false;
+    }
+    const sent = this._outbox;
+    this._outbox = null;
+    if (idempotencyKey && sent.length > 0) {
+      this.#remember(idempotencyKey, sent);
+    }
+    return true;
+  }
+
+  /**
+   * Reports a problem that is not tied to a request, e.g. `session-expired`.
+   * `retryable` and `fatal` default to the client's handling of `code`.
+   */
+  sendError(code, { message = null, retryable, fatal } = {}) {
+    const payload = { code, message };
+    if (retryable != null) payload.retryable = retryable;
+    if (fatal != null) payload.fatal = fatal;
+    this.#send("error", payload);
+  }
+
+  /** Sends the operator config; clients need it before they can start. */
+  sendConfig() {
+    if (!this.config) return false;
+    this.#send("config", this.config);
+    return true;
+  }
+
+  /** Pushes the current balance to the client, e.g. right after it connects. */
+  sendBalance() {
+    this.#send("balance:update", { numericValue: this.wallet.balance });
+  }
+
+  /**
+   * Sends `round-state` if a round is unfinished, e.g. after a reconnect.
+   * Like every other message it only names faces that were already revealed,
+   * and its `outcome` adds the round's claim under the same rule as the
+   * reveals: once every card is face up.
+   */
+  sendRoundState() {
+    const round = this.round;
+    if (!round) return false;
+    const { outcome: claim } = this.#withOutcome({});
+    this.#send("round-state", {
+      roundId: round.id,
+      bet: round.bet,
+      revealed: [...round.revealed].map((key) => toCell(key, round)),
+      outcome: { fairness: round.fairness, ...claim },
+    });
+    return true;
+  }
+
+  #handle(type, payload, id) {
+    switch (type) {
+      case "action:bet":
+        this.#placeBet(payload.bet, id);
+        return;
+      case "game:manual-selection":
+        this.#revealSelection(payload, id);
+        return;
+      case "action:cashout":
+        this.#revealRemaining(id);
+        return;
+      case "game:reveal-remaining":
+        this.#revealBatch(payload.cells, id);
+        return;
+      case "action:start-autobet":
+        this.autoBetActive = true;
+        return;
+      case "action:stop-autobet":
+        this.autoBetActive = false;
+        return;
+      case "game:auto-round-request":
+        this.#playAutoRound(payload.bet ?? this.betValue, id);
+        return;
+      case "control:bet-value":
+        this.betValue = toAmount(payload.numericValue ?? payload.value);
+        return;
+      default:
+        // Integrity reports and the remaining control:* messages only need
+        // logging, which the transport side does.
+        return;
+    }
+  }
+
+  #placeBet(rawBet, replyTo) {
+    const bet = Number(rawBet);
+    if (!Number.isFinite(bet) || bet <= 0) {
+      this.#reject("action:bet", [`bet ${String(rawBet)} is not an amount`], {
+        code: "invalid-message",
+        replyTo,
+      });
+      return false;
+    }
+    if (this.round) {
+      this.#reject("action:bet", ["a round is already in progress"], {
+        code: "invalid-state",
+        replyTo,
+      });
+      return false;
+    }
+    if (bet < this.minBet || bet > this.maxBet) {
+      const limit =
+        bet < this.minBet
+          ? `below the minimum of ${this.minBet}`
+          : `above the maximum of ${this.maxBet}`;
+      this.#reject("action:bet", [`bet ${bet} is ${limit}`], {
+        code: "bet-limit-exceeded",
+        replyTo,
+      });
+      return false;
+    }
+    if (this.wallet.balance < bet) {
+      this.#reject("action:bet", [`insufficient balance for ${bet}`], {
+        code: "insufficient-funds",
+        replyTo,
+      });
+      return false;
+    }
+    // Deal before taking the stake so a failed deal costs the player nothing.
+    const round = this.#dealRound(bet);
+    this.wallet.debit(bet);
+    this.round = round;
+    this.betValue = bet;
+    this.#send(
+      "start-bet",
+      {
+        roundId: this.round.id,
+        bet,
+        fairness: this.round.fairness,
+      },
+      replyTo
+    );
+    this.#send("balance:update", { numericValue: this.wallet.balance });
+    return true;
+  }
+
+  #dealRound(bet) {
+    const roundFairness = this.fairness.nextRound();
+    const betResult = determineDemoBetResult(
+      roundFairness.rng.fork("outcome"),
+      {
+        lossProbability: this.lossProbability,
+      }
+    );
+    const { assignments, totalMultiplier } = generateScratchCardAssignments(
+      betResult,
+      {
+        cardTypes: this.cardTypes,
+        gridSize: this.gridSize,
+        paytable: this.paytable,
+        random: roundFairness.rng.fork("assignments"),
+        winRules: this.winRules,
+      }
+    );
+    const multiplier = betResult === "win" ? totalMultiplier : 0;
+    const faces = new Map(
+      assignments.map((entry) => [
+        getCardKey(entry.row, entry.col),
+        entry.contentKey ?? null,
+      ])
+    );
+    const { wins } = this.winRules.evaluateRound(faces, this.paytable);
+    return {
+      id: `round-${this._nextRoundId++}`,
+      bet,
+      betResult,
+      multiplier,
+      payout: bet * multiplier,
+      winningKeys: [...new Set(wins.map((win) => win.symbol))],
+      assignments: faces,
+      revealed: new Set(),
+      fairness: {
+        serverSeedHash: roundFairness.serverSeedHash,
+        clientSeed: roundFairness.clientSeed,
+        nonce: roundFairness.nonce,
+      },
+    };
+  }
+
+  #revealSelection({ row, col }, replyTo) {
+    const key = getCardKey(row, col);
+    if (!this.round || !this.round.assignments.has(key)) {
+      this.#reject(
+        "game:manual-selection",
+        [this.round ? `no card at ${key}` : "no round in progress"],
+        { code: "invalid-state", replyTo }
+      );
+      return;
+    }
+    this.round.revealed.add(key);
+    this.#send(
+      "bet-result",
+      this.#withOutcome({
+        row,
+        col,
+        contentKey: this.round.assignments.get(key),
+      }),
+      replyTo
+    );
+    this.#settleIfComplete();
+  }
+
+  #revealRemaining(replyTo) {
+    if (!this.round) {
+      this.#reject("action:cashout", ["no round in progress"], {
+        code: "invalid-state",
+        replyTo,
+      });
+      return;
+    }
+    const results = [];
+    for (const key of this.round.assignments.keys()) {
+      if (this.round.revealed.has(key)) continue;
+      this.round.revealed.add(key);
+      results.push(toCell(key, this.round));
+    }
+    this.#send("auto-bet-result", this.#withOutcome({ results }), replyTo);
+    this.#settleIfComplete();
+  }
+
+  #revealBatch(cells, replyTo) {
+    const round = this.round;
+    if (!round) {
+      this.#reject("game:reveal-remaining", ["no round in progress"], {
+        code: "invalid-state",
+        replyTo,
+      });
+      return;
+    }
+    const keys = cells
+      .map((cell) => getCardKey(cell.row, cell.col))
+      .filter((key) => round.assignments.has(key));
+    for (const key of keys) {
+      round.revealed.add(key);
+    }
+    this.#send(
+      "reveal-batch",
+      this.#withOutcome({ results: keys.map((key) => toCell(key, round)) }),
+      replyTo
+    );
+    this.#settleIfComplete();
+  }
+
+  #playAutoRound(bet, replyTo) {
+    if (this.#placeBet(bet, replyTo)) {
+      this.#revealRemaining();
+    } else {
+      this.autoBetActive = false;
+    }
+  }
+
+  // Adds the round's claim to a reveal once every card is face up.
+  #withOutcome(payload) {
+    const round = this.round;
+    if (!round || round.revealed.size < getTileCount(this.gridSize)) {
+      return payload;
+    }
+    return {
+      ...payload,
+      outcome: {
+        betResult: round.betResult,
+        winningKeys: round.winningKeys,
+        payoutMultiplier: round.multiplier,
+        payout: round.payout,
+      },
+    };
+  }
+
+  #settleIfComplete() {
+    const round = this.round;
+    if (!round || round.revealed.size < getTileCount(this.gridSize)) {
+      return;
+    }
+    this.round = null;
+    this.wallet.credit(round.payout);
+    this.#send("profit:update-multiplier", {
+      numericValue: round.multiplier > 0 ? round.multiplier : 1,
+    });
+    this.#send("profit:update-total", {
+      numericValue: Math.max(0, round.payout - round.bet),
+    });
+    this.#send("balance:update", { numericValue: this.wallet.balance });
+    this.dispatchEvent(
+      new CustomEvent("settled", {
+        detail: {
+          roundId: round.id,
+          bet: round.bet,
+          betResult: round.betResult,
+          multiplier: round.multiplier,
+          payout: round.payout,
+          balance: this.wallet.balance,
+        },
+      })
+    );
+  }
+
+  #send(type, payload, replyTo = null) {
+    const { valid, errors } = validateMessage(
+      DIRECTIONS.INCOMING,
+      type,
+      payload
+    );
+    if (!valid) {
+      throw new Error(
+        `Mock server built an invalid '${type}': ${errors.join("; ")}`
+      );
+    }
+    const message = { type, payload, version: PROTOCOL_VERSION };
+    if (replyTo != null) message.replyTo = replyTo;
+    this._outbox?.push(message);
+    this.#emit(message);
+  }
+
+  #emit(message) {
+    this.dispatchEvent(new CustomEvent("message", { detail: message }));
+  }
+
+  #remember(idempotencyKey, messages) {
+    this._replies.set(idempotencyKey, messages);
+    if (this._replies.size > IDEMPOTENCY_CACHE_SIZE) {
+      this._replies.delete(this._replies.keys().next().value);
+    }
+  }
+
+  #reject(type, errors, { code = null, replyTo = null } = {}) {
+    this.dispatchEvent(
+      new CustomEvent("rejected", { detail: { type, code, errors } })
+    );
+    if (code) {
+      this.#send("error", { code, message: errors.join("; ") }, replyTo);
+    }
+  }
+}
@@ -0,0 +1,343 @@
+// Relay message protocol shared by the client, the transports and the mock
+// backends. Every message is `{ type, payload }`; frames on the wire also
+// carry `version`. Requests add `id` (and `idempotencyKey` for bets), and
+// the backend's answer echoes it as `replyTo`. Bump PROTOCOL_VERSION for
+// changes a peer on the previous version could not handle.
+export const PROTOCOL_VERSION = 1;
+
+export const DIRECTIONS = Object.freeze({
+  OUTGOING: "outgoing",
+  INCOMING: "incoming",
+});
+
+export class ProtocolError extends Error {
+  constructor(direction, type, errors) {
+    super(`Invalid ${direction} relay message '${type}': ${errors.join("; ")}`);
+    this.name = "ProtocolError";
+    this.direction = direction;
+    this.type = type;
+    this.errors = errors;
+  }
+}
+
+// --- Schema helpers -------------------------------------------------------
+// A schema is `{ kind, optional, nullable, ... }`; `validateValue` walks it.
+
+const any = () => ({ kind: "any" });
+const string = (options = {}) => ({ kind: "string", ...options });
+const number = (options = {}) => ({ kind: "number", ...options });
+const integer = (options = {}) => ({
+  kind: "number",
+  integer: true,
+  ...options,
+});
+const boolean = () => ({ kind: "boolean" });
+const arrayOf = (items) => ({ kind: "array", items });
+const object = (fields = {}) => ({ kind: "object", fields });
+const oneOf = (...options) => ({ kind: "oneOf", options });
+const optional = (schema) => ({ ...schema, optional: true });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// Form inputs report amounts either as raw text or as numbers.
+const amount = () => oneOf(string(), number());
+const cell = () =>
+  object({ row: integer({ min: 0 }), col: integer({ min: 0 }) });
+
+function validateValue(schema, value, path, errors) {
+  if (value === undefined) {
+    if (!schema.optional) errors.push(`${path} is required`);
+    return;
+  }
+  if (value === null) {
+    if (!schema.nullable) errors.push(`${path} must not be null`);
+    return;
+  }
+  switch (schema.kind) {
+    case "any":
+      return;
+    case "string":
+      if (typeof value !== "string") {
+        errors.push(`${path} must be a string`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(", ")}`);
+      }
+      return;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push(`${path} must be a finite number`);
+      } else if (schema.integer && !Number.isInteger(value)) {
+        errors.push(`${path} must be an integer`);
+      } else if (schema.min != null && value < schema.min) {
+        errors.push(`${path} must be at least ${schema.min}`);
+      }
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") errors.push(`${path} must be a boolean`);
+      return;
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        return;
+      }
+      value.forEach((item, index) =>
+        validateValue(schema.items, item, `${path}[${index}]`, errors)
+      );
+      return;
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+        validateValue(fieldSchema, value[key], `${path}.${key}`, errors);
+      }
+      return;
+    case "oneOf": {
+      const matches = schema.options.some((option) => {
+        const optionErrors = [];
+        validateValue(option, value, path, optionErrors);
+        return optionErrors.length === 0;
+      });
+      if (!matches) errors.push(`${path} has an unexpected type`);
+      return;
+    }
+    default:
+      errors.push(`${path} has an unknown schema kind '${schema.kind}'`);
+  }
+}
+
+// --- Message catalogue ----------------------------------------------------
+// Payload fields not listed here are allowed and ignored.
+
+/** Client -> server. */
+export const OUTGOING_MESSAGES = Object.freeze({
+  // The server alone decides the outcome, so a bet carries no result.
+  "action:bet": object({
+    bet: amount(),
+    mines: optional(nullable(number())),
+  }),
+  "action:cashout": object(),
+  "action:start-autobet": object({ numberOfBets: integer({ min: 0 }) }),
+  "action:stop-autobet": object({ reason: string(), completed: boolean() }),
+  "game:manual-selection": cell(),
+  "game:auto-round-request": object({ bet: optional(amount()) }),
+  "game:reveal-remaining": object({ cells: arrayOf(cell()) }),
+  "game:integrity-violation": object({
+    source: string(),
+    mismatches: arrayOf(
+      object({
+        field: string(),
+        claimed: optional(nullable(any())),
+        expected: optional(nullable(any())),
+      })
+    ),
+    claim: nullable(any()),
+    expected: nullable(any()),
+    fairness: nullable(object()),
+  }),
+  "control:start-autobet": object({ numberOfBets: integer({ min: 0 }) }),
+  "control:bet-value": object({
+    value: nullable(amount()),
+    numericValue: optional(nullable(number())),
+  }),
+  "control:mines": object({
+    value: nullable(number()),
+    totalTiles: optional(nullable(number())),
+    gems: optional(nullable(number())),
+  }),
+  "control:number-of-bets": object({ value: nullable(number()) }),
+  "control:strategy-mode": object({
+    key: string({ enum: ["win", "loss"] }),
+    mode: string(),
+  }),
+  "control:strategy-value": object({
+    key: string({ enum: ["win", "loss"] }),
+    value: nullable(amount()),
+  }),
+  "control:strategy-preset": object({ value: string() }),
+  "control:stop-on-profit": object({ value: nullable(amount()) }),
+  "control:stop-on-loss": object({ value: nullable(amount()) }),
+});
+
+const AMOUNT_UPDATE = object({
+  value: optional(nullable(amount())),
+  numericValue: optional(nullable(number())),
+});
+
+// The server's claim for a round. It comes with the reveal that completes
+// the board and is checked against the faces; `payout` is in bet currency.
+const ROUND_OUTCOME = object({
+  betResult: string({ enum: ["win", "lost"] }),
+  winningKeys: optional(arrayOf(string())),
+  payoutMultiplier: number({ min: 0 }),
+  payout: optional(number({ min: 0 })),
+});
+
+// What the server commits to when a round is dealt; the seed itself is only
+// disclosed when it is rotated.
+const FAIRNESS_COMMITMENT = object({
+  serverSeedHash: string(),
+  clientSeed: string(),
+  nonce: integer({ min: 0 }),
+});
+
+/** Server -> client. */
+export const INCOMING_MESSAGES = Object.freeze({
+  // Deals a face-down round. It carries no outcome; see ROUND_OUTCOME.
+  "start-bet": object({
+    roundId: optional(nullable(string())),
+    bet: optional(nullable(amount())),
+    fairness: optional(nullable(FAIRNESS_COMMITMENT)),
+  }),
+  "bet-result": object({
+    result: optional(nullable(string())),
+    contentKey: optional(nullable(string())),
+    row: optional(integer({ min: 0 })),
+    col: optional(integer({ min: 0 })),
+    selection: optional(nullable(object())),
+    outcome: optional(ROUND_OUTCOME),
+  }),
+  "auto-bet-result": object({
+    results: arrayOf(
+      object({
+        row: integer({ min: 0 }),
+        col: integer({ min: 0 }),
+        result: optional(nullable(string())),
+        contentKey: optional(nullable(string())),
+      })
+    ),
+    outcome: optional(ROUND_OUTCOME),
+  }),
+  // Answers `game:reveal-remaining` with every requested face at once.
+  "reveal-batch": object({
+    results: arrayOf(
+      object({
+        row: integer({ min: 0 }),
+        col: integer({ min: 0 }),
+        contentKey: nullable(string()),
+      })
+    ),
+    outcome: optional(ROUND_OUTCOME),
+  }),
+  "stop-autobet": object({
+    reason: optional(string()),
+    completed: optional(boolean()),
+  }),
+  "finalize-bet": object(),
+  // Sent after a (re)connect while a round is unfinished.
+  "round-state": object({
+    roundId: optional(nullable(string())),
+    mode: optional(string({ enum: ["manual", "auto"] })),
+    bet: optional(nullable(amount())),
+    assignments: optional(
+      arrayOf(
+        object({
+          row: integer({ min: 0 }),
+          col: integer({ min: 0 }),
+          contentKey: nullable(string()),
+        })
+      )
+    ),
+    revealed: arrayOf(
+      object({
+        row: integer({ min: 0 }),
+        col: integer({ min: 0 }),
+        contentKey: optional(nullable(string())),
+      })
+    ),
+    // The fairness commitment, plus the claim once every card is face up.
+    outcome: optional(
+      nullable(
+        object({
+          fairness: optional(nullable(FAIRNESS_COMMITMENT)),
+          betResult: optional(string({ enum: ["win", "lost"] })),
+          winningKeys: optional(arrayOf(string())),
+          payoutMultiplier: optional(number({ min: 0 })),
+          payout: optional(number({ min: 0 })),
+        })
+      )
+    ),
+  }),
+  cashout: object(),
+  "profit:update-multiplier": AMOUNT_UPDATE,
+  "profit:update-total": AMOUNT_UPDATE,
+  "balance:update": object({
+    value: optional(nullable(amount())),
+    numericValue: optional(nullable(number())),
+    balance: optional(nullable(amount())),
+  }),
+  // Operator settings, sent once before the game is created. Omitted fields
+  // keep their defaults (see src/config/gameConfig.js).
+  config: object({
+    gameName: optional(string()),
+    grid: optional(any()),
+    animations: optional(object()),
+    betLimits: optional(
+      object({
+        min: optional(amount()),
+        max: optional(nullable(amount())),
+      })
+    ),
+    currency: optional(
+      object({
+        code: optional(string()),
+        symbol: optional(string()),
+        iconUrl: optional(nullable(string())),
+      })
+    ),
+    paytable: optional(object()),
+    winRules: optional(any()),
+    features: optional(object()),
+  }),
+  // Either a reply to a failed request or pushed on its own. `retryable` and
+  // `fatal` override the defaults for `code` (see src/errors/serverErrors.js).
+  error: object({
+    code: string(),
+    message: optional(nullable(string())),
+    retryable: optional(boolean()),
+    fatal: optional(boolean()),
+  }),
+});
+
+const CATALOGUES = {
+  [DIRECTIONS.OUTGOING]: OUTGOING_MESSAGES,
+  [DIRECTIONS.INCOMING]: INCOMING_MESSAGES,
+};
+
+export function isCompatibleVersion(version) {
+  return version == null || Number(version) === PROTOCOL_VERSION;
+}
+
+/**
+ * Checks a message against the catalogue for `direction`. Returns
+ * `{ valid, errors }`; unknown types and incompatible versions are invalid.
+ */
+export function validateMessage(direction, type, payload, { version } = {}) {
+  const catalogue = CATALOGUES[direction];
+  if (!catalogue) {
+    return { valid: false, errors: [`unknown direction '${direction}'`] };
+  }
+  if (!isCompatibleVersion(version)) {
+    return {
+      valid: false,
+      errors: [
+        `protocol version ${version} is not supported (expected ${PROTOCOL_VERSION})`,
+      ],
+    };
+  }
+  const schema = Object.hasOwn(catalogue, type) ? catalogue[type] : null;
+  if (!schema) {
+    return { valid: false, errors: [`unknown message type '${type}'`] };
+  }
+  const errors = [];
+  validateValue(schema, payload, "payload", errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/** Like `validateMessage`, but throws a `ProtocolError` when invalid. */
+export function assertValidMessage(direction, type, payload, options) {
+  const { valid, errors } = validateMessage(direction, type, payload, options);
+  if (!valid) {
+    throw new ProtocolError(direction, type, errors);
+  }
+}
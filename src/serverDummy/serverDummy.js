@@ -8,7 +8,13 @@ function createLogEntry(direction, type, payload) {
   const directionLabel = document.createElement("span");
   directionLabel.className = "server-dummy__log-direction";
   directionLabel.textContent =
-    direction === "incoming" ? "Server → App" : "App → Server";
+    direction === "incoming"
+      ? "Server → App"
+      : direction === "local"
+      ? "App (local)"
+      : direction === "rejected"
+      ? "Rejected"
+      : "App → Server";
   header.appendChild(directionLabel);
 
   const typeLabel = document.createElement("span");
@@ -44,6 +50,8 @@ export function createServerDummy(relay, options = {}) {
   const initialDemoMode = Boolean(options.initialDemoMode ?? true);
   const initialCollapsed = Boolean(options.initialCollapsed ?? true);
   const initialHidden = Boolean(options.initialHidden ?? false);
+  // Face keys the dummy deals when it reveals the rest of a face-down board.
+  const getCardTypes = options.getCardTypes ?? (() => []);
 
   const container = document.createElement("div");
   container.className = "server-dummy";
@@ -153,6 +161,7 @@ export function createServerDummy(relay, options = {}) {
   const manualControls = createControlsGroup("Manual Actions");
   const autoControls = createControlsGroup("Auto Actions");
   const profitControls = createControlsGroup("PROFIT");
+  const balanceControls = createControlsGroup("BALANCE");
 
   const buttons = [];
   const inputs = [];
@@ -194,6 +203,24 @@ export function createServerDummy(relay, options = {}) {
     },
   });
 
+  createInputRow({
+    placeholder: "Balance",
+    type: "text",
+    inputMode: "decimal",
+    mountPoint: balanceControls,
+    buttonLabel: "Update Balance",
+    onSubmit: ({ input }) => {
+      const raw = input.value.trim();
+      const payload = { value: raw === "" ? null : raw };
+      const numeric = Number(raw);
+      if (Number.isFinite(numeric)) {
+        payload.numericValue = numeric;
+      }
+      serverRelay.deliver("balance:update", payload);
+      input.value = "";
+    },
+  });
+
   function appendLog(direction, type, payload) {
     const entry = createLogEntry(direction, type, payload);
     logList.appendChild(entry);
@@ -266,12 +293,27 @@ export function createServerDummy(relay, options = {}) {
   const state = {
     lastManualSelection: null,
     lastAutoSelections: [],
+    // Ids of the app's open requests, answered by the buttons below.
+    pendingBetRequestId: null,
+    pendingSelectionRequestId: null,
+    pendingRevealRequestId: null,
+    lastRevealCells: [],
   };
 
+  function takeRequestId(key) {
+    const id = state[key];
+    state[key] = null;
+    return id;
+  }
+
   createButton(
     "Start Bet",
     () => {
-      serverRelay.deliver("start-bet", {});
+      serverRelay.deliver(
+        "start-bet",
+        {},
+        { replyTo: takeRequestId("pendingBetRequestId") }
+      );
     },
     manualControls
   );
@@ -279,10 +321,11 @@ export function createServerDummy(relay, options = {}) {
   createButton(
     "On Bet Won",
     () => {
-      serverRelay.deliver("bet-result", {
-        result: "win",
-        selection: state.lastManualSelection,
-      });
+      serverRelay.deliver(
+        "bet-result",
+        { result: "win", selection: state.lastManualSelection },
+        { replyTo: takeRequestId("pendingSelectionRequestId") }
+      );
     },
     manualControls
   );
@@ -290,10 +333,33 @@ export function createServerDummy(relay, options = {}) {
   createButton(
     "On Bet Lost",
     () => {
-      serverRelay.deliver("bet-result", {
-        result: "lost",
-        selection: state.lastManualSelection,
-      });
+      serverRelay.deliver(
+        "bet-result",
+        { result: "lost", selection: state.lastManualSelection },
+        { replyTo: takeRequestId("pendingSelectionRequestId") }
+      );
+    },
+    manualControls
+  );
+
+  createButton(
+    "Reveal Remaining",
+    () => {
+      const cardTypes = getCardTypes();
+      const results = state.lastRevealCells.map((cell) => ({
+        row: cell.row,
+        col: cell.col,
+        contentKey:
+          cardTypes.length > 0
+            ? cardTypes[Math.floor(Math.random() * cardTypes.length)]
+            : null,
+      }));
+      state.lastRevealCells = [];
+      serverRelay.deliver(
+        "reveal-batch",
+        { results },
+        { replyTo: takeRequestId("pendingRevealRequestId") }
+      );
     },
     manualControls
   );
@@ -380,12 +446,22 @@ export function createServerDummy(relay, options = {}) {
   applyVisibility(visible, { force: true });
 
   const outgoingHandler = (event) => {
-    const { type, payload } = event.detail ?? {};
+    const { type, payload, id } = event.detail ?? {};
     appendLog("outgoing", type, payload);
 
     switch (type) {
+      case "action:bet":
+        state.pendingBetRequestId = id ?? null;
+        break;
       case "game:manual-selection":
         state.lastManualSelection = payload ?? null;
+        state.pendingSelectionRequestId = id ?? null;
+        break;
+      case "game:reveal-remaining":
+        state.lastRevealCells = Array.isArray(payload?.cells)
+          ? payload.cells.map((cell) => ({ ...cell }))
+          : [];
+        state.pendingRevealRequestId = id ?? null;
         break;
       case "game:auto-selections":
         state.lastAutoSelections = Array.isArray(payload?.selections)
@@ -402,8 +478,20 @@ export function createServerDummy(relay, options = {}) {
     appendLog("incoming", type, payload);
   };
 
+  const logHandler = (event) => {
+    const { type, payload } = event.detail ?? {};
+    appendLog("local", type, payload);
+  };
+
+  const protocolErrorHandler = (event) => {
+    const { type, payload, errors } = event.detail ?? {};
+    appendLog("rejected", type, { payload, errors });
+  };
+
   serverRelay.addEventListener("outgoing", outgoingHandler);
   serverRelay.addEventListener("incoming", incomingHandler);
+  serverRelay.addEventListener("log", logHandler);
+  serverRelay.addEventListener("protocolerror", protocolErrorHandler);
 
   serverRelay.addEventListener("demomodechange", (event) => {
     setDemoMode(Boolean(event.detail?.value));
@@ -420,6 +508,8 @@ export function createServerDummy(relay, options = {}) {
     destroy() {
       serverRelay.removeEventListener("outgoing", outgoingHandler);
       serverRelay.removeEventListener("incoming", incomingHandler);
+      serverRelay.removeEventListener("log", logHandler);
+      serverRelay.removeEventListener("protocolerror", protocolErrorHandler);
       container.remove();
     },
   };
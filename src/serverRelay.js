@@ -1,7 +1,49 @@
+import {
+  DIRECTIONS,
+  PROTOCOL_VERSION,
+  ProtocolError,
+  validateMessage,
+} from "./protocol/relayProtocol.js";
+
+// Reported while no transport is attached and messages stay in the page
+// (e.g. with the Dummy Server panel).
+export const LOCAL_CONNECTION_STATE = "local";
+
+export const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Rejection reason for `ServerRelay.request`. `code` is "timeout" when no
+ * reply arrived in time, "invalid" when the request failed validation and
+ * "cancelled" after `cancelRequests`.
+ */
+export class RelayRequestError extends Error {
+  constructor(message, { code, type, requestId, attempts = 0 } = {}) {
+    super(message);
+    this.name = "RelayRequestError";
+    this.code = code;
+    this.type = type;
+    this.requestId = requestId;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Message hub between the game and its backend. Both directions are checked
+ * against the relay protocol (see `relayProtocol.js`); invalid messages are
+ * dropped and reported through `protocolerror` instead of reaching listeners
+ * half-formed.
+ */
 export class ServerRelay extends EventTarget {
-  constructor() {
+  constructor({ validate = true } = {}) {
     super();
+    this.validate = Boolean(validate);
     this._demoMode = true;
+    this._transport = null;
+    this._transportListeners = null;
+    this._pendingRequests = new Map();
+    this._nextRequestId = 1;
+    // Keeps ids unique across reloads that share one backend session.
+    this._requestIdPrefix = Math.random().toString(36).slice(2, 8);
   }
 
   get demoMode() {
@@ -19,13 +61,190 @@ export class ServerRelay extends EventTarget {
     );
   }
 
-  send(type, payload = {}) {
+  get transport() {
+    return this._transport;
+  }
+
+  get connectionState() {
+    return this._transport?.state ?? LOCAL_CONNECTION_STATE;
+  }
+
+  get isConnected() {
+    return !this._transport || this._transport.isOpen;
+  }
+
+  /**
+   * Attaches a transport (see `WebSocketTransport`) that carries `send()`
+   * to the backend and feeds its messages into `deliver()`. Its state
+   * changes are re-emitted as `connectionchange`. Pass null to detach.
+   */
+  setTransport(transport) {
+    this._transportListeners?.abort();
+    this._transportListeners = null;
+    this._transport = transport ?? null;
+
+    if (this._transport) {
+      const controller = new AbortController();
+      const { signal } = controller;
+      this._transport.addEventListener(
+        "message",
+        (event) => {
+          const { type, payload, version, replyTo } = event.detail ?? {};
+          this.deliver(type, payload, { version, replyTo });
+        },
+        { signal }
+      );
+      this._transport.addEventListener(
+        "statechange",
+        (event) => this.#emitConnectionChange(event.detail),
+        { signal }
+      );
+      this._transportListeners = controller;
+    }
+
+    this.#emitConnectionChange({ state: this.connectionState });
+  }
+
+  /**
+   * Returns false, sending nothing, when the message is invalid. `id` and
+   * `idempotencyKey` are set by `request`.
+   */
+  send(type, payload = {}, { id, idempotencyKey } = {}) {
+    if (!this.#check(DIRECTIONS.OUTGOING, type, payload)) {
+      return false;
+    }
     const message = { type, payload };
+    if (id != null) message.id = id;
+    if (idempotencyKey != null) message.idempotencyKey = idempotencyKey;
     this.dispatchEvent(new CustomEvent("outgoing", { detail: message }));
+    this._transport?.send({ ...message, version: PROTOCOL_VERSION });
+    return true;
+  }
+
+  // Records a client-side event in the relay log without sending anything,
+  // so local decisions (e.g. demo auto-bet adjustments) stay traceable.
+  log(type, payload = {}) {
+    const message = { type, payload };
+    this.dispatchEvent(new CustomEvent("log", { detail: message }));
+  }
+
+  /**
+   * Sends `type` and resolves with the first incoming message whose
+   * `replyTo` matches the request id. Unanswered requests are re-sent up to
+   * `retries` times with the same id and `idempotencyKey`, so the backend
+   * can drop duplicates, then reject with a `RelayRequestError`.
+   */
+  request(
+    type,
+    payload = {},
+    {
+      timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS,
+      retries = 0,
+      idempotencyKey = null,
+    } = {}
+  ) {
+    const id = `${this._requestIdPrefix}-${this._nextRequestId++}`;
+    return new Promise((resolve, reject) => {
+      this._pendingRequests.set(id, {
+        type,
+        payload,
+        idempotencyKey,
+        timeoutMs,
+        retries: Math.max(0, Math.floor(retries)),
+        attempts: 0,
+        timer: null,
+        resolve,
+        reject,
+      });
+      this.#attemptRequest(id);
+    });
   }
 
-  deliver(type, payload = {}) {
+  get pendingRequestCount() {
+    return this._pendingRequests.size;
+  }
+
+  cancelRequests(reason = "cancelled") {
+    for (const [id, pending] of this._pendingRequests) {
+      this.#rejectRequest(id, pending, "cancelled", reason);
+    }
+  }
+
+  /** Returns false, dispatching nothing, when the message is invalid. */
+  deliver(type, payload = {}, { version, replyTo } = {}) {
+    if (!this.#check(DIRECTIONS.INCOMING, type, payload, version)) {
+      return false;
+    }
     const message = { type, payload };
+    if (replyTo != null) message.replyTo = replyTo;
     this.dispatchEvent(new CustomEvent("incoming", { detail: message }));
+
+    const pending = replyTo != null ? this._pendingRequests.get(replyTo) : null;
+    if (pending) {
+      clearTimeout(pending.timer);
+      this._pendingRequests.delete(replyTo);
+      pending.resolve(message);
+    }
+    return true;
+  }
+
+  #attemptRequest(id) {
+    const pending = this._pendingRequests.get(id);
+    if (!pending) return;
+    pending.attempts += 1;
+    const sent = this.send(pending.type, pending.payload, {
+      id,
+      idempotencyKey: pending.idempotencyKey,
+    });
+    if (!sent) {
+      this.#rejectRequest(id, pending, "invalid", "failed validation");
+      return;
+    }
+    pending.timer = setTimeout(() => {
+      // A frame still waiting for the connection is superseded by the retry
+      // or, once the request gives up, must not go out at all.
+      this._transport?.dropQueued?.(id);
+      if (pending.attempts <= pending.retries) {
+        this.#attemptRequest(id);
+      } else {
+        this.#rejectRequest(id, pending, "timeout", "timed out");
+      }
+    }, pending.timeoutMs);
+  }
+
+  #rejectRequest(id, pending, code, reason) {
+    clearTimeout(pending.timer);
+    this._pendingRequests.delete(id);
+    this._transport?.dropQueued?.(id);
+    pending.reject(
+      new RelayRequestError(
+        `Relay request '${pending.type}' ${reason} after ${pending.attempts} attempt(s)`,
+        { code, type: pending.type, requestId: id, attempts: pending.attempts }
+      )
+    );
+  }
+
+  #check(direction, type, payload, version) {
+    if (!this.validate) return true;
+    const { valid, errors } = validateMessage(direction, type, payload, {
+      version,
+    });
+    if (valid) return true;
+    const error = new ProtocolError(direction, type, errors);
+    console.error(error.message, payload);
+    this.dispatchEvent(
+      new CustomEvent("protocolerror", {
+        detail: { direction, type, payload, errors, error },
+      })
+    );
+    return false;
+  }
+
+  #emitConnectionChange(detail = {}) {
+    this.dispatchEvent(
+      new CustomEvent("connectionchange", {
+        detail: { ...detail, connected: this.isConnected },
+      })
+    );
   }
 }
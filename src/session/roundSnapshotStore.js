@@ -0,0 +1,67 @@
+export const DEFAULT_ROUND_STORAGE_KEY = "scratchCards.activeRound";
+export const ROUND_SNAPSHOT_VERSION = 1;
+
+function resolveStorage(storage) {
+  if (storage !== undefined) return storage;
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persists the unfinished demo round so a reload can resume it. A snapshot
+ * has the same shape as the `round-state` relay payload: `{ mode, bet,
+ * assignments, revealed, outcome }`, plus whatever else the caller needs.
+ */
+export class RoundSnapshotStore {
+  constructor({ storage, storageKey = DEFAULT_ROUND_STORAGE_KEY } = {}) {
+    this.storage = resolveStorage(storage);
+    this.storageKey = storageKey;
+  }
+
+  save(snapshot) {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          ...snapshot,
+          version: ROUND_SNAPSHOT_VERSION,
+          savedAt: Date.now(),
+        })
+      );
+    } catch (error) {
+      console.warn("Round snapshot could not be saved", error);
+    }
+  }
+
+  /** Returns the saved snapshot, or null when there is none or it is stale. */
+  load() {
+    if (!this.storage) return null;
+    try {
+      const parsed = JSON.parse(this.storage.getItem(this.storageKey));
+      if (
+        parsed?.version !== ROUND_SNAPSHOT_VERSION ||
+        !Array.isArray(parsed.assignments) ||
+        !Array.isArray(parsed.revealed)
+      ) {
+        return null;
+      }
+      return parsed;
+    } catch (error) {
+      console.warn("Round snapshot could not be read", error);
+      return null;
+    }
+  }
+
+  clear() {
+    if (!this.storage) return;
+    try {
+      this.storage.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn("Round snapshot could not be cleared", error);
+    }
+  }
+}
@@ -0,0 +1,175 @@
+export const DEFAULT_SESSION_CHANNEL = "scratchCards.session";
+export const DEFAULT_CLAIM_TIMEOUT_MS = 250;
+
+function createTabId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function openChannel(name) {
+  return typeof BroadcastChannel === "function"
+    ? new BroadcastChannel(name)
+    : null;
+}
+
+/**
+ * Keeps a single tab in charge of the game across every tab of the same
+ * origin. `start` claims the session; a tab that already holds it answers
+ * `held` and the newcomer stays inactive until `takeOver` is called. Two tabs
+ * claiming at once are settled by the smaller tab id; a late `held` always
+ * wins over a fresh claim. When the active tab lets go (`release`), waiting
+ * tabs claim the session again.
+ *
+ * Emits `statechange` with `{ active }`, `claim` with `{ tabId }` when another
+ * tab asks for the session while this one holds it, and `sync` with
+ * `{ type, payload }` for whatever other tabs `publish`. Without
+ * BroadcastChannel every tab is active.
+ */
+export class SessionCoordinator extends EventTarget {
+  constructor({
+    channelName = DEFAULT_SESSION_CHANNEL,
+    tabId = createTabId(),
+    claimTimeoutMs = DEFAULT_CLAIM_TIMEOUT_MS,
+    channel = openChannel(channelName),
+  } = {}) {
+    super();
+    this.tabId = tabId;
+    this.claimTimeoutMs = claimTimeoutMs;
+    this.channel = channel;
+    this.state = "idle";
+    this._claimTimer = null;
+    this._activated = null;
+    this._handleMessage = (event) => this.#receive(event.data ?? {});
+    this.channel?.addEventListener("message", this._handleMessage);
+  }
+
+  get isActive() {
+    return this.state === "active";
+  }
+
+  /** Resolves once this tab holds the session, now or after a takeover. */
+  whenActive() {
+    if (this.isActive) {
+      return Promise.resolve();
+    }
+    this._activated ??= new Promise((resolve) => {
+      const onChange = (event) => {
+        if (!event.detail.active) return;
+        this.removeEventListener("statechange", onChange);
+        this._activated = null;
+        resolve();
+      };
+      this.addEventListener("statechange", onChange);
+    });
+    return this._activated;
+  }
+
+  start() {
+    if (!this.channel) {
+      this.#setState("active");
+      return;
+    }
+    if (this.state === "active" || this.state === "claiming") {
+      return;
+    }
+    this.state = "claiming";
+    this.#post("claim");
+    clearTimeout(this._claimTimer);
+    this._claimTimer = setTimeout(() => {
+      this._claimTimer = null;
+      if (this.state === "claiming") {
+        this.#setState("active");
+      }
+    }, this.claimTimeoutMs);
+  }
+
+  /** Takes the session from whichever tab holds it. */
+  takeOver() {
+    clearTimeout(this._claimTimer);
+    this._claimTimer = null;
+    this.#post("takeover");
+    this.#setState("active");
+  }
+
+  /**
+   * Stops answering other tabs, e.g. while the page sits in the bfcache, and
+   * tells them the session is free.
+   */
+  release() {
+    clearTimeout(this._claimTimer);
+    this._claimTimer = null;
+    const wasActive = this.isActive;
+    this.state = "idle";
+    if (wasActive) {
+      this.#post("released");
+    }
+  }
+
+  publish(type, payload = {}) {
+    this.#post("sync", { type, payload });
+  }
+
+  destroy() {
+    this.release();
+    this.channel?.removeEventListener("message", this._handleMessage);
+    this.channel?.close();
+    this.channel = null;
+  }
+
+  #receive({ kind, tabId, type, payload }) {
+    if (!tabId || tabId === this.tabId) {
+      return;
+    }
+    switch (kind) {
+      case "claim":
+        if (this.state === "active") {
+          this.#post("held");
+          this.dispatchEvent(new CustomEvent("claim", { detail: { tabId } }));
+        } else if (this.state === "claiming" && tabId < this.tabId) {
+          this.#yield();
+        }
+        break;
+      case "held":
+        if (this.state === "claiming" || this.state === "active") {
+          this.#yield();
+        }
+        break;
+      case "takeover":
+        if (this.state === "active" || this.state === "claiming") {
+          this.#yield();
+        }
+        break;
+      case "released":
+        if (this.state === "inactive") {
+          this.start();
+        }
+        break;
+      case "sync":
+        this.dispatchEvent(
+          new CustomEvent("sync", { detail: { type, payload } })
+        );
+        break;
+      default:
+        break;
+    }
+  }
+
+  #yield() {
+    clearTimeout(this._claimTimer);
+    this._claimTimer = null;
+    this.#setState("inactive");
+  }
+
+  #post(kind, detail = {}) {
+    this.channel?.postMessage({ kind, tabId: this.tabId, ...detail });
+  }
+
+  #setState(state) {
+    const previous = this.state;
+    this.state = state;
+    if (previous !== state) {
+      this.dispatchEvent(
+        new CustomEvent("statechange", { detail: { active: this.isActive } })
+      );
+    }
+  }
+}
@@ -0,0 +1,78 @@
+function resolveMount(mount) {
+  if (!mount) {
+    throw new Error("Session lock overlay mount target is required");
+  }
+  if (typeof mount === "string") {
+    const element = document.querySelector(mount);
+    if (!element) {
+      throw new Error(`Session lock overlay mount '${mount}' not found`);
+    }
+    return element;
+  }
+  return mount;
+}
+
+/**
+ * Covers the game while another tab holds the session. Emits `takeover` when
+ * the player chooses to play in this tab instead.
+ */
+export class SessionLockOverlay extends EventTarget {
+  constructor(
+    mount,
+    {
+      title = "Game open elsewhere",
+      message = "The game is already open in another tab or window.",
+      takeOverLabel = "Play here",
+    } = {}
+  ) {
+    super();
+    this.host = resolveMount(mount);
+
+    this.container = document.createElement("div");
+    this.container.className = "session-lock-overlay";
+    this.container.setAttribute("role", "alertdialog");
+    this.container.setAttribute("aria-modal", "true");
+    this.container.hidden = true;
+    this.host.appendChild(this.container);
+
+    const dialog = document.createElement("div");
+    dialog.className = "session-lock-dialog";
+    this.container.appendChild(dialog);
+
+    const heading = document.createElement("h2");
+    heading.className = "session-lock-title";
+    heading.textContent = title;
+    dialog.appendChild(heading);
+
+    const text = document.createElement("p");
+    text.className = "session-lock-message";
+    text.textContent = message;
+    dialog.appendChild(text);
+
+    this.takeOverButton = document.createElement("button");
+    this.takeOverButton.type = "button";
+    this.takeOverButton.className = "session-lock-takeover";
+    this.takeOverButton.textContent = takeOverLabel;
+    this.takeOverButton.addEventListener("click", () => {
+      this.dispatchEvent(new CustomEvent("takeover"));
+    });
+    dialog.appendChild(this.takeOverButton);
+  }
+
+  get isVisible() {
+    return !this.container.hidden;
+  }
+
+  show() {
+    this.container.hidden = false;
+    this.takeOverButton.focus();
+  }
+
+  hide() {
+    this.container.hidden = true;
+  }
+
+  destroy() {
+    this.container.remove();
+  }
+}
@@ -0,0 +1,98 @@
+// Oldest chart points are dropped past this many rounds; the totals keep
+// counting.
+export const MAX_HISTORY_POINTS = 500;
+
+const AMOUNT_DECIMALS = 8;
+
+function roundAmount(value) {
+  const factor = 10 ** AMOUNT_DECIMALS;
+  return Math.round(value * factor) / factor;
+}
+
+function toNonNegative(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? Math.max(0, numeric) : 0;
+}
+
+/**
+ * Accumulates per-session betting figures and the cumulative profit series
+ * drawn by the stats panel. Emits `change` with a snapshot after every
+ * recorded round and on reset.
+ */
+export class SessionStats extends EventTarget {
+  constructor({ maxHistoryPoints = MAX_HISTORY_POINTS } = {}) {
+    super();
+    this.maxHistoryPoints = Math.max(2, Math.floor(maxHistoryPoints));
+    this.reset({ emit: false });
+  }
+
+  reset({ emit = true } = {}) {
+    this.rounds = 0;
+    this.wagered = 0;
+    this.netProfit = 0;
+    this.wins = 0;
+    this.losses = 0;
+    this.currentStreak = 0;
+    this.bestWinStreak = 0;
+    this.biggestWin = null;
+    this.history = [{ round: 0, netProfit: 0 }];
+    if (emit) {
+      this.#emit();
+    }
+  }
+
+  record({ bet, payout, multiplier } = {}) {
+    const stake = toNonNegative(bet);
+    const returned = toNonNegative(payout);
+    const profit = roundAmount(returned - stake);
+    const won = returned > 0;
+
+    this.rounds += 1;
+    this.wagered = roundAmount(this.wagered + stake);
+    this.netProfit = roundAmount(this.netProfit + profit);
+
+    if (won) {
+      this.wins += 1;
+      this.currentStreak = Math.max(0, this.currentStreak) + 1;
+      this.bestWinStreak = Math.max(this.bestWinStreak, this.currentStreak);
+      if (!this.biggestWin || returned > this.biggestWin.payout) {
+        this.biggestWin = {
+          round: this.rounds,
+          payout: returned,
+          multiplier: Number(multiplier) || (stake > 0 ? returned / stake : 0),
+        };
+      }
+    } else {
+      this.losses += 1;
+      this.currentStreak = Math.min(0, this.currentStreak) - 1;
+    }
+
+    this.history.push({ round: this.rounds, netProfit: this.netProfit });
+    if (this.history.length > this.maxHistoryPoints) {
+      this.history.shift();
+    }
+
+    this.#emit();
+  }
+
+  getSnapshot() {
+    return {
+      rounds: this.rounds,
+      wagered: this.wagered,
+      netProfit: this.netProfit,
+      wins: this.wins,
+      losses: this.losses,
+      winRate: this.rounds > 0 ? this.wins / this.rounds : 0,
+      currentStreak: this.currentStreak,
+      bestWinStreak: this.bestWinStreak,
+      biggestWin: this.biggestWin ? { ...this.biggestWin } : null,
+      history: this.history.map((point) => ({ ...point })),
+    };
+  }
+
+  #emit() {
+    this.dispatchEvent(
+      new CustomEvent("change", { detail: this.getSnapshot() })
+    );
+  }
+}
@@ -0,0 +1,236 @@
+function resolveMount(mount) {
+  if (!mount) {
+    throw new Error("Session stats mount target is required");
+  }
+  if (typeof mount === "string") {
+    const element = document.querySelector(mount);
+    if (!element) {
+      throw new Error(`Session stats mount '${mount}' not found`);
+    }
+    return element;
+  }
+  return mount;
+}
+
+function formatAmount(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric.toFixed(8) : "0.00000000";
+}
+
+function formatSignedAmount(value) {
+  const numeric = Number(value) || 0;
+  return `${numeric > 0 ? "+" : ""}${formatAmount(numeric)}`;
+}
+
+function formatStreak(streak) {
+  if (streak > 0) return `${streak}W`;
+  if (streak < 0) return `${-streak}L`;
+  return "0";
+}
+
+const STAT_FIELDS = [
+  { key: "wagered", label: "Wagered" },
+  { key: "netProfit", label: "Net Profit" },
+  { key: "wins", label: "Wins" },
+  { key: "losses", label: "Losses" },
+  { key: "winRate", label: "Win Rate" },
+  { key: "currentStreak", label: "Current Streak" },
+  { key: "bestWinStreak", label: "Best Streak" },
+  { key: "biggestWin", label: "Biggest Win" },
+];
+
+export class SessionStatsPanel extends EventTarget {
+  constructor(mount, options = {}) {
+    super();
+    this.options = {
+      title: options.title ?? "Session Stats",
+      initialCollapsed: options.initialCollapsed ?? true,
+      positiveColor: options.positiveColor ?? "#eaff00",
+      negativeColor: options.negativeColor ?? "#ff4d6d",
+      axisColor: options.axisColor ?? "#2f4553",
+    };
+
+    this.host = resolveMount(mount);
+    this.host.innerHTML = "";
+    this.snapshot = null;
+    this.valueNodes = new Map();
+
+    this.container = document.createElement("div");
+    this.container.className = "session-stats";
+    this.host.appendChild(this.container);
+
+    this.buildHeader();
+    this.buildBody();
+
+    this.setCollapsed(this.options.initialCollapsed);
+
+    this._resizeObserver =
+      typeof ResizeObserver === "function"
+        ? new ResizeObserver(() => this.drawChart())
+        : null;
+    this._resizeObserver?.observe(this.chartWrapper);
+  }
+
+  buildHeader() {
+    this.header = document.createElement("div");
+    this.header.className = "session-stats-header";
+    this.container.appendChild(this.header);
+
+    this.toggleButton = document.createElement("button");
+    this.toggleButton.type = "button";
+    this.toggleButton.className = "session-stats-toggle";
+    this.toggleButton.textContent = this.options.title;
+    this.toggleButton.addEventListener("click", () => {
+      this.setCollapsed(!this.collapsed);
+    });
+    this.header.appendChild(this.toggleButton);
+  }
+
+  buildBody() {
+    this.body = document.createElement("div");
+    this.body.className = "session-stats-body";
+    this.container.appendChild(this.body);
+
+    this.chartWrapper = document.createElement("div");
+    this.chartWrapper.className = "session-stats-chart";
+    this.body.appendChild(this.chartWrapper);
+
+    this.chartCanvas = document.createElement("canvas");
+    this.chartCanvas.setAttribute("role", "img");
+    this.chartCanvas.setAttribute("aria-label", "Cumulative profit chart");
+    this.chartWrapper.appendChild(this.chartCanvas);
+
+    const list = document.createElement("dl");
+    list.className = "session-stats-list";
+    this.body.appendChild(list);
+
+    for (const field of STAT_FIELDS) {
+      const row = document.createElement("div");
+      row.className = "session-stats-row";
+
+      const label = document.createElement("dt");
+      label.className = "session-stats-label";
+      label.textContent = field.label;
+      row.appendChild(label);
+
+      const value = document.createElement("dd");
+      value.className = "session-stats-value";
+      row.appendChild(value);
+
+      this.valueNodes.set(field.key, value);
+      list.appendChild(row);
+    }
+
+    this.resetButton = document.createElement("button");
+    this.resetButton.type = "button";
+    this.resetButton.className = "session-stats-reset";
+    this.resetButton.textContent = "Reset Stats";
+    this.resetButton.addEventListener("click", () => {
+      this.dispatchEvent(new CustomEvent("resetstats"));
+    });
+    this.body.appendChild(this.resetButton);
+  }
+
+  setCollapsed(value) {
+    this.collapsed = Boolean(value);
+    this.container.classList.toggle("is-collapsed", this.collapsed);
+    this.host.classList.toggle("is-collapsed", this.collapsed);
+    this.toggleButton.setAttribute("aria-expanded", String(!this.collapsed));
+    this.body.hidden = this.collapsed;
+    if (!this.collapsed) {
+      this.drawChart();
+    }
+  }
+
+  update(snapshot) {
+    this.snapshot = snapshot ?? null;
+    if (!snapshot) return;
+
+    const values = {
+      wagered: formatAmount(snapshot.wagered),
+      netProfit: formatSignedAmount(snapshot.netProfit),
+      wins: String(snapshot.wins),
+      losses: String(snapshot.losses),
+      winRate: `${(snapshot.winRate * 100).toFixed(2)}%`,
+      currentStreak: formatStreak(snapshot.currentStreak),
+      bestWinStreak: String(snapshot.bestWinStreak),
+      biggestWin: snapshot.biggestWin
+        ? `${formatAmount(snapshot.biggestWin.payout)} (${Number(
+            snapshot.biggestWin.multiplier
+          ).toFixed(2)}×)`
+        : "-",
+    };
+    for (const [key, text] of Object.entries(values)) {
+      const node = this.valueNodes.get(key);
+      if (node) node.textContent = text;
+    }
+    const profitNode = this.valueNodes.get("netProfit");
+    profitNode?.classList.toggle("is-positive", snapshot.netProfit > 0);
+    profitNode?.classList.toggle("is-negative", snapshot.netProfit < 0);
+
+    this.drawChart();
+  }
+
+  drawChart() {
+    if (this.collapsed || !this.chartCanvas) return;
+    const width = this.chartWrapper.clientWidth;
+    const height = this.chartWrapper.clientHeight;
+    if (width <= 0 || height <= 0) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    this.chartCanvas.width = Math.round(width * ratio);
+    this.chartCanvas.height = Math.round(height * ratio);
+    this.chartCanvas.style.width = `${width}px`;
+    this.chartCanvas.style.height = `${height}px`;
+
+    const ctx = this.chartCanvas.getContext("2d");
+    if (!ctx) return;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const points = this.snapshot?.history ?? [];
+    const padding = 6;
+    const values = points.map((point) => point.netProfit);
+    const max = Math.max(0, ...values);
+    const min = Math.min(0, ...values);
+    const span = max - min || 1;
+    const toY = (value) =>
+      padding + ((max - value) / span) * (height - padding * 2);
+    const toX = (index) =>
+      points.length > 1
+        ? padding + (index / (points.length - 1)) * (width - padding * 2)
+        : padding;
+
+    const zeroY = toY(0);
+    ctx.strokeStyle = this.options.axisColor;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(padding, zeroY);
+    ctx.lineTo(width - padding, zeroY);
+    ctx.stroke();
+
+    if (points.length < 2) return;
+
+    const last = values[values.length - 1];
+    ctx.strokeStyle =
+      last < 0 ? this.options.negativeColor : this.options.positiveColor;
+    ctx.lineWidth = 2;
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    values.forEach((value, index) => {
+      const x = toX(index);
+      const y = toY(value);
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.stroke();
+  }
+
+  destroy() {
+    this._resizeObserver?.disconnect();
+    this.container.remove();
+  }
+}
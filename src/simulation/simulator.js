@@ -0,0 +1,168 @@
+import { resolveGameConfig } from "../config/gameConfig.js";
+import { FairnessSession, createRandomSource } from "../fairness/fairRng.js";
+import { GameRules } from "../game/gameRules.js";
+import { getTileCount, resolveGridSize } from "../game/gridConfig.js";
+import { createPaytable } from "../game/paytable.js";
+import { createWinRules } from "../game/winRules.js";
+import {
+  DEFAULT_LOSS_PROBABILITY,
+  determineDemoBetResult,
+  generateScratchCardAssignments,
+  getCardKey,
+} from "../game/roundGenerator.js";
+
+// The shipped game config, so the defaults certify the math players get.
+const SHIPPED_CONFIG = resolveGameConfig();
+
+function createRoundRandomFactory({ rng, serverSeed, clientSeed }) {
+  if (rng === "math") {
+    const source = createRandomSource();
+    return () => source;
+  }
+  const session = new FairnessSession({ serverSeed, clientSeed });
+  return () => session.nextRound().rng;
+}
+
+/**
+ * Plays `rounds` demo rounds headlessly and reports the figures required for
+ * math certification. Each round is revealed through GameRules and the
+ * revealed faces are re-evaluated against the win rules and compared with the
+ * generator's claimed outcome.
+ */
+export function simulateRounds({
+  rounds = 100000,
+  gridSize = SHIPPED_CONFIG.grid,
+  paytableConfig = SHIPPED_CONFIG.paytable,
+  winRulesConfig = SHIPPED_CONFIG.winRules,
+  lossProbability = DEFAULT_LOSS_PROBABILITY,
+  rng = "fair",
+  serverSeed,
+  clientSeed,
+  onProgress,
+} = {}) {
+  const paytable = createPaytable(paytableConfig);
+  const cardTypes = paytable.getEntries().map((entry) => entry.key);
+  const nextRoundRandom = createRoundRandomFactory({
+    rng,
+    serverSeed,
+    clientSeed,
+  });
+  const winRules = createWinRules(winRulesConfig, gridSize);
+  const rules = new GameRules({ gridSize, winRules, paytable });
+
+  let totalWagered = 0;
+  let totalReturned = 0;
+  let wins = 0;
+  let multiSymbolWins = 0;
+  let inconsistentRounds = 0;
+  let currentLosingStreak = 0;
+  let longestLosingStreak = 0;
+  let maxMultiplier = 0;
+  let mean = 0;
+  let sumSquaredDiff = 0;
+  const winningSymbols = new Map(cardTypes.map((key) => [key, 0]));
+  const symbolOccurrences = new Map(cardTypes.map((key) => [key, 0]));
+
+  for (let round = 1; round <= rounds; round += 1) {
+    const random = nextRoundRandom();
+    const betResult = determineDemoBetResult(random.fork("outcome"), {
+      lossProbability,
+    });
+    const {
+      assignments,
+      winningKeys,
+      totalMultiplier: claimedMultiplier,
+    } = generateScratchCardAssignments(betResult, {
+      cardTypes,
+      gridSize,
+      paytable,
+      random: random.fork("assignments"),
+      winRules,
+    });
+
+    rules.reset();
+    rules.setAssignments(
+      assignments.map((entry) => [
+        getCardKey(entry.row, entry.col),
+        entry.contentKey,
+      ])
+    );
+    rules.setClaim({
+      betResult,
+      winningKeys,
+      payoutMultiplier: claimedMultiplier,
+    });
+    for (const entry of assignments) {
+      rules.revealResult({ row: entry.row, col: entry.col });
+    }
+
+    for (const outcome of rules.revealedMap.values()) {
+      symbolOccurrences.set(
+        outcome.face,
+        (symbolOccurrences.get(outcome.face) ?? 0) + 1
+      );
+    }
+    const { wins: revealedWins, totalMultiplier: multiplier } =
+      rules.evaluateRound(paytable);
+    const revealedSymbols = new Set(revealedWins.map((win) => win.symbol));
+    if (!rules.gameOver || !rules.verification?.valid) {
+      inconsistentRounds += 1;
+    }
+
+    totalWagered += 1;
+    totalReturned += multiplier;
+
+    if (multiplier > 0) {
+      wins += 1;
+      for (const symbol of revealedSymbols) {
+        winningSymbols.set(symbol, (winningSymbols.get(symbol) ?? 0) + 1);
+      }
+      if (revealedSymbols.size > 1) {
+        multiSymbolWins += 1;
+      }
+      currentLosingStreak = 0;
+      maxMultiplier = Math.max(maxMultiplier, multiplier);
+    } else {
+      currentLosingStreak += 1;
+      longestLosingStreak = Math.max(longestLosingStreak, currentLosingStreak);
+    }
+
+    const delta = multiplier - mean;
+    mean += delta / round;
+    sumSquaredDiff += delta * (multiplier - mean);
+
+    if (onProgress && round % 100000 === 0) {
+      onProgress(round, rounds);
+    }
+  }
+
+  const standardDeviation = rounds > 1 ? Math.sqrt(sumSquaredDiff / (rounds - 1)) : 0;
+
+  return {
+    rounds,
+    gridSize: resolveGridSize(gridSize),
+    matchCount: rules.matchCount,
+    rng,
+    rtp: totalWagered > 0 ? totalReturned / totalWagered : 0,
+    hitFrequency: rounds > 0 ? wins / rounds : 0,
+    wins,
+    losses: rounds - wins,
+    multiSymbolWins,
+    longestLosingStreak,
+    maxMultiplier,
+    standardDeviation,
+    inconsistentRounds,
+    winningSymbolDistribution: Object.fromEntries(
+      Array.from(winningSymbols.entries()).map(([key, count]) => [
+        key,
+        { count, share: wins > 0 ? count / wins : 0 },
+      ])
+    ),
+    symbolDistribution: Object.fromEntries(
+      Array.from(symbolOccurrences.entries()).map(([key, count]) => [
+        key,
+        { count, share: count / (rounds * getTileCount(gridSize)) },
+      ])
+    ),
+  };
+}
@@ -0,0 +1,85 @@
+import { CONNECTION_STATES } from "./connectionStates.js";
+
+function resolveMount(mount) {
+  if (!mount) {
+    throw new Error("Connection banner mount target is required");
+  }
+  if (typeof mount === "string") {
+    const element = document.querySelector(mount);
+    if (!element) {
+      throw new Error(`Connection banner mount '${mount}' not found`);
+    }
+    return element;
+  }
+  return mount;
+}
+
+const CLOSED_MESSAGES = {
+  "handshake-timeout": "The operator page did not respond.",
+  "version-mismatch": "This game version is not supported here.",
+};
+
+function describeState({ state, attempt, delayMs, reason } = {}) {
+  switch (state) {
+    case CONNECTION_STATES.CONNECTING:
+      return { text: "Connecting to server…", retry: false };
+    case CONNECTION_STATES.RECONNECTING: {
+      const seconds = Math.max(1, Math.ceil((delayMs ?? 0) / 1000));
+      return {
+        text: `Connection lost. Reconnecting (attempt ${attempt}) in ${seconds}s…`,
+        retry: false,
+      };
+    }
+    case CONNECTION_STATES.CLOSED:
+      return {
+        text: CLOSED_MESSAGES[reason] ?? "Disconnected from server.",
+        retry: reason !== "version-mismatch",
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Overlays the game with the relay connection status while it is not open.
+ * Emits `retry` when the player asks to reconnect after giving up.
+ */
+export class ConnectionBanner extends EventTarget {
+  constructor(mount) {
+    super();
+    this.host = resolveMount(mount);
+
+    this.container = document.createElement("div");
+    this.container.className = "connection-banner";
+    this.container.setAttribute("role", "status");
+    this.container.setAttribute("aria-live", "polite");
+    this.container.hidden = true;
+    this.host.appendChild(this.container);
+
+    this.message = document.createElement("span");
+    this.message.className = "connection-banner-message";
+    this.container.appendChild(this.message);
+
+    this.retryButton = document.createElement("button");
+    this.retryButton.type = "button";
+    this.retryButton.className = "connection-banner-retry";
+    this.retryButton.textContent = "Retry";
+    this.retryButton.addEventListener("click", () => {
+      this.dispatchEvent(new CustomEvent("retry"));
+    });
+    this.container.appendChild(this.retryButton);
+  }
+
+  update(detail = {}) {
+    const description = describeState(detail);
+    this.container.hidden = !description;
+    if (!description) return;
+    this.container.dataset.state = detail.state;
+    this.message.textContent = description.text;
+    this.retryButton.hidden = !description.retry;
+  }
+
+  destroy() {
+    this.container.remove();
+  }
+}
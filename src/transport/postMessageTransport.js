@@ -0,0 +1,251 @@
+import { CONNECTION_STATES } from "./connectionStates.js";
+import { PROTOCOL_VERSION } from "../protocol/relayProtocol.js";
+
+// Tags every frame so unrelated postMessage traffic on the page is ignored.
+export const BRIDGE_CHANNEL = "scratch-cards";
+
+export const BRIDGE_MESSAGES = Object.freeze({
+  HELLO: "bridge:hello",
+  WELCOME: "bridge:welcome",
+  GOODBYE: "bridge:goodbye",
+});
+
+function normalizeOrigins(origins) {
+  const list = (Array.isArray(origins) ? origins : [origins])
+    .map((origin) => String(origin ?? "").trim())
+    .filter(Boolean);
+  if (list.includes("*")) {
+    throw new Error("The bridge origin allow-list cannot contain '*'");
+  }
+  return list;
+}
+
+/**
+ * Relay transport for games embedded in an operator's iframe. Messages are
+ * exchanged with `target` (the parent window by default) through
+ * `postMessage`, and only frames from `allowedOrigins` are accepted.
+ *
+ * Handshake: the game posts `bridge:hello` with `{ protocolVersion,
+ * sessionToken }` until the operator answers with `bridge:welcome` and
+ * `{ protocolVersion, sessionToken }`. The token from the welcome replaces
+ * ours and is attached to every later frame. A different protocol version
+ * closes the bridge. Either side ends it with `bridge:goodbye`.
+ *
+ * Frames are `{ channel, type, payload, sessionToken }`, plus `id` /
+ * `idempotencyKey` on requests and `replyTo` on replies. Emits the same
+ * `statechange` and `message` events as `WebSocketTransport`.
+ */
+export class PostMessageTransport extends EventTarget {
+  constructor({
+    allowedOrigins,
+    target = globalThis.parent,
+    host = globalThis,
+    sessionToken = null,
+    protocolVersion = PROTOCOL_VERSION,
+    helloIntervalMs = 500,
+    handshakeTimeoutMs = 10000,
+    maxQueueSize = 200,
+  } = {}) {
+    super();
+    this.allowedOrigins = normalizeOrigins(allowedOrigins);
+    if (this.allowedOrigins.length === 0) {
+      throw new Error("PostMessageTransport needs at least one allowed origin");
+    }
+    if (!target || target === host) {
+      throw new Error("PostMessageTransport needs a parent or target window");
+    }
+    this.target = target;
+    this.host = host;
+    this.protocolVersion = protocolVersion;
+    this.helloIntervalMs = helloIntervalMs;
+    this.handshakeTimeoutMs = handshakeTimeoutMs;
+    this.maxQueueSize = Math.max(0, Math.floor(maxQueueSize));
+
+    this._state = CONNECTION_STATES.IDLE;
+    this._sessionToken = sessionToken;
+    this._targetOrigin = null;
+    this._peerVersion = null;
+    this._queue = [];
+    this._helloTimer = null;
+    this._handshakeTimer = null;
+    this._handleMessage = (event) => this.#handleMessage(event);
+  }
+
+  get state() {
+    return this._state;
+  }
+
+  get isOpen() {
+    return this._state === CONNECTION_STATES.OPEN;
+  }
+
+  get sessionToken() {
+    return this._sessionToken;
+  }
+
+  get peerProtocolVersion() {
+    return this._peerVersion;
+  }
+
+  connect() {
+    if (
+      this._state === CONNECTION_STATES.CONNECTING ||
+      this._state === CONNECTION_STATES.OPEN
+    ) {
+      return;
+    }
+    this._targetOrigin = null;
+    this.host.addEventListener("message", this._handleMessage);
+    this.#setState(CONNECTION_STATES.CONNECTING);
+
+    const sayHello = () =>
+      this.#post(BRIDGE_MESSAGES.HELLO, {
+        protocolVersion: this.protocolVersion,
+        sessionToken: this._sessionToken,
+      });
+    sayHello();
+    this._helloTimer = setInterval(sayHello, this.helloIntervalMs);
+    this._handshakeTimer = setTimeout(() => {
+      this.#teardown({ reason: "handshake-timeout" });
+    }, this.handshakeTimeoutMs);
+  }
+
+  disconnect({ reason = "client closed" } = {}) {
+    if (this.isOpen) {
+      this.#post(BRIDGE_MESSAGES.GOODBYE, { reason });
+    }
+    this.#teardown({ reason });
+  }
+
+  send(message) {
+    if (this.isOpen) {
+      this.#post(message.type, message.payload, message);
+      return true;
+    }
+    this._queue.push(message);
+    if (this._queue.length > this.maxQueueSize) {
+      const dropped = this._queue.shift();
+      console.warn("Relay queue full; dropped message", dropped?.type);
+    }
+    return false;
+  }
+
+  /**
+   * Removes queued frames of the request `id`, e.g. once it timed out, so a
+   * reconnect does not send it after all. Returns how many were removed.
+   */
+  dropQueued(id) {
+    const before = this._queue.length;
+    this._queue = this._queue.filter((message) => message.id !== id);
+    return before - this._queue.length;
+  }
+
+  #handleMessage(event) {
+    if (event.source !== this.target) return;
+    const data = event.data;
+    if (!data || data.channel !== BRIDGE_CHANNEL) return;
+    if (!this.allowedOrigins.includes(event.origin)) {
+      console.warn("Ignoring bridge message from origin", event.origin);
+      return;
+    }
+    if (this._targetOrigin && event.origin !== this._targetOrigin) return;
+    if (typeof data.type !== "string") {
+      console.warn("Ignoring bridge message without a type", data);
+      return;
+    }
+
+    switch (data.type) {
+      case BRIDGE_MESSAGES.WELCOME:
+        this.#handleWelcome(event.origin, data.payload ?? {});
+        return;
+      case BRIDGE_MESSAGES.GOODBYE:
+        this.#teardown({ reason: data.payload?.reason ?? "operator closed" });
+        return;
+      case BRIDGE_MESSAGES.HELLO:
+        return;
+      default:
+        break;
+    }
+    if (!this.isOpen) return;
+    this.dispatchEvent(
+      new CustomEvent("message", {
+        detail: {
+          type: data.type,
+          payload: data.payload ?? {},
+          replyTo: data.replyTo,
+        },
+      })
+    );
+  }
+
+  #handleWelcome(origin, payload) {
+    if (this._state !== CONNECTION_STATES.CONNECTING) return;
+    this._targetOrigin = origin;
+    this._peerVersion = payload.protocolVersion ?? null;
+    if (payload.protocolVersion !== this.protocolVersion) {
+      console.error(
+        `Bridge protocol mismatch: game ${this.protocolVersion}, operator ${payload.protocolVersion}`
+      );
+      this.#post(BRIDGE_MESSAGES.GOODBYE, { reason: "version-mismatch" });
+      this.#teardown({ reason: "version-mismatch" });
+      return;
+    }
+    if (payload.sessionToken != null) {
+      this._sessionToken = String(payload.sessionToken);
+    }
+    this.#clearHandshakeTimers();
+    this.#setState(CONNECTION_STATES.OPEN);
+    while (this._queue.length > 0 && this.isOpen) {
+      const message = this._queue.shift();
+      this.#post(message.type, message.payload, message);
+    }
+  }
+
+  #post(type, payload = {}, { id, idempotencyKey } = {}) {
+    const frame = {
+      channel: BRIDGE_CHANNEL,
+      type,
+      payload,
+      sessionToken: this._sessionToken,
+    };
+    if (id != null) frame.id = id;
+    if (idempotencyKey != null) frame.idempotencyKey = idempotencyKey;
+    // Until the operator answers, its origin is unknown; posting to each
+    // allowed origin only reaches the one actually embedding us.
+    const origins = this._targetOrigin
+      ? [this._targetOrigin]
+      : this.allowedOrigins;
+    for (const origin of origins) {
+      try {
+        this.target.postMessage(frame, origin);
+      } catch (error) {
+        console.warn("Bridge postMessage failed", error);
+      }
+    }
+  }
+
+  #clearHandshakeTimers() {
+    clearInterval(this._helloTimer);
+    clearTimeout(this._handshakeTimer);
+    this._helloTimer = null;
+    this._handshakeTimer = null;
+  }
+
+  #teardown({ reason } = {}) {
+    this.#clearHandshakeTimers();
+    this.host.removeEventListener("message", this._handleMessage);
+    this._targetOrigin = null;
+    this.#setState(CONNECTION_STATES.CLOSED, { reason });
+  }
+
+  #setState(state, { reason = null } = {}) {
+    const previous = this._state;
+    if (previous === state) return;
+    this._state = state;
+    this.dispatchEvent(
+      new CustomEvent("statechange", {
+        detail: { state, previous, reason },
+      })
+    );
+  }
+}
@@ -0,0 +1,284 @@
+import { CONNECTION_STATES } from "./connectionStates.js";
+
+// Heartbeat frames are answered by the transport itself and never reach the
+// relay.
+export const HEARTBEAT_PING = "transport:ping";
+export const HEARTBEAT_PONG = "transport:pong";
+
+const HEARTBEAT_TIMEOUT_CLOSE_CODE = 4000;
+
+/**
+ * Carries relay messages (`{ type, payload }`) as JSON text frames over a
+ * WebSocket. Lost connections are retried with exponential backoff, a
+ * ping/pong heartbeat detects dead sockets, and messages sent while offline
+ * are queued and flushed on reconnect.
+ *
+ * Emits `statechange` with `{ state, previous, attempt, delayMs }` and
+ * `message` with each inbound `{ type, payload }`.
+ */
+export class WebSocketTransport extends EventTarget {
+  constructor(
+    url,
+    {
+      protocols,
+      WebSocketImpl = globalThis.WebSocket,
+      reconnectDelayMs = 500,
+      maxReconnectDelayMs = 10000,
+      reconnectBackoff = 2,
+      reconnectJitter = 0.2,
+      maxReconnectAttempts = Infinity,
+      heartbeatIntervalMs = 15000,
+      heartbeatTimeoutMs = 5000,
+      maxQueueSize = 200,
+      random = Math.random,
+    } = {}
+  ) {
+    super();
+    if (typeof WebSocketImpl !== "function") {
+      throw new Error("WebSocket is not available in this environment");
+    }
+    this.url = url;
+    this.protocols = protocols;
+    this.WebSocketImpl = WebSocketImpl;
+    this.reconnectDelayMs = Math.max(0, reconnectDelayMs);
+    this.maxReconnectDelayMs = Math.max(
+      this.reconnectDelayMs,
+      maxReconnectDelayMs
+    );
+    this.reconnectBackoff = Math.max(1, reconnectBackoff);
+    this.reconnectJitter = Math.min(1, Math.max(0, reconnectJitter));
+    this.maxReconnectAttempts = maxReconnectAttempts;
+    this.heartbeatIntervalMs = heartbeatIntervalMs;
+    this.heartbeatTimeoutMs = heartbeatTimeoutMs;
+    this.maxQueueSize = Math.max(0, Math.floor(maxQueueSize));
+    this.random = random;
+
+    this._state = CONNECTION_STATES.IDLE;
+    this._socket = null;
+    this._queue = [];
+    this._attempt = 0;
+    this._manualClose = false;
+    this._reconnectTimer = null;
+    this._heartbeatTimer = null;
+    this._pongTimer = null;
+  }
+
+  get state() {
+    return this._state;
+  }
+
+  get isOpen() {
+    return this._state === CONNECTION_STATES.OPEN;
+  }
+
+  get queuedCount() {
+    return this._queue.length;
+  }
+
+  connect() {
+    if (this._socket || this._reconnectTimer) {
+      return;
+    }
+    this._manualClose = false;
+    this._attempt = 0;
+    this.#open();
+  }
+
+  disconnect({ code = 1000, reason = "client closed" } = {}) {
+    this._manualClose = true;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this.#dropSocket(code, reason);
+    this.#setState(CONNECTION_STATES.CLOSED);
+  }
+
+  /**
+   * Sends `message` right away when connected, otherwise queues it (dropping
+   * the oldest entry past `maxQueueSize`). Returns true when it went out.
+   */
+  send(message) {
+    if (this.isOpen && this.#write(message)) {
+      return true;
+    }
+    this._queue.push(message);
+    if (this._queue.length > this.maxQueueSize) {
+      const dropped = this._queue.shift();
+      console.warn("Relay queue full; dropped message", dropped?.type);
+    }
+    return false;
+  }
+
+  /**
+   * Removes queued frames of the request `id`, e.g. once it timed out, so a
+   * reconnect does not send it after all. Returns how many were removed.
+   */
+  dropQueued(id) {
+    const before = this._queue.length;
+    this._queue = this._queue.filter((message) => message.id !== id);
+    return before - this._queue.length;
+  }
+
+  #open() {
+    let socket;
+    try {
+      socket = new this.WebSocketImpl(this.url, this.protocols);
+    } catch (error) {
+      console.warn("WebSocket connection failed", error);
+      this.#scheduleReconnect();
+      return;
+    }
+    this._socket = socket;
+    if (this._state !== CONNECTION_STATES.RECONNECTING) {
+      this.#setState(CONNECTION_STATES.CONNECTING);
+    }
+
+    socket.onopen = () => {
+      this._attempt = 0;
+      this.#setState(CONNECTION_STATES.OPEN);
+      this.#startHeartbeat();
+      this.#flushQueue();
+    };
+    socket.onmessage = (event) => this.#handleFrame(event.data);
+    socket.onclose = () => {
+      if (this._socket !== socket) return;
+      this.#handleClose();
+    };
+    // Browsers follow `error` with `close`, but some runtimes never fire
+    // `close` for a failed handshake, so that case is handled here.
+    socket.onerror = () => {
+      if (this._socket !== socket || this._state === CONNECTION_STATES.OPEN) {
+        return;
+      }
+      this.#dropSocket();
+      this.#handleClose();
+    };
+  }
+
+  #handleFrame(data) {
+    let message;
+    try {
+      message = JSON.parse(String(data));
+    } catch (error) {
+      console.warn("Ignoring malformed relay frame", error);
+      return;
+    }
+    if (!message || typeof message.type !== "string") {
+      console.warn("Ignoring relay frame without a type", message);
+      return;
+    }
+    if (message.type === HEARTBEAT_PING) {
+      this.#write({ type: HEARTBEAT_PONG, payload: message.payload ?? {} });
+      return;
+    }
+    if (message.type === HEARTBEAT_PONG) {
+      clearTimeout(this._pongTimer);
+      this._pongTimer = null;
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("message", {
+        detail: {
+          type: message.type,
+          payload: message.payload ?? {},
+          version: message.version,
+          replyTo: message.replyTo,
+        },
+      })
+    );
+  }
+
+  #handleClose() {
+    this._socket = null;
+    this.#stopHeartbeat();
+    if (this._manualClose) {
+      this.#setState(CONNECTION_STATES.CLOSED);
+      return;
+    }
+    this.#scheduleReconnect();
+  }
+
+  #scheduleReconnect() {
+    this._attempt += 1;
+    if (this._attempt > this.maxReconnectAttempts) {
+      this.#setState(CONNECTION_STATES.CLOSED);
+      return;
+    }
+    const base = Math.min(
+      this.maxReconnectDelayMs,
+      this.reconnectDelayMs * this.reconnectBackoff ** (this._attempt - 1)
+    );
+    const jitter = 1 + this.reconnectJitter * (this.random() * 2 - 1);
+    const delayMs = Math.round(base * jitter);
+    this.#setState(CONNECTION_STATES.RECONNECTING, { delayMs });
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this.#open();
+    }, delayMs);
+  }
+
+  #startHeartbeat() {
+    this.#stopHeartbeat();
+    if (!(this.heartbeatIntervalMs > 0)) return;
+    this._heartbeatTimer = setInterval(() => {
+      if (this._pongTimer) return;
+      this.#write({ type: HEARTBEAT_PING, payload: { sentAt: Date.now() } });
+      this._pongTimer = setTimeout(() => {
+        this._pongTimer = null;
+        // A half-open socket may never fire `close`, so give up on it here.
+        this.#dropSocket(HEARTBEAT_TIMEOUT_CLOSE_CODE, "heartbeat timeout");
+        this.#handleClose();
+      }, this.heartbeatTimeoutMs);
+    }, this.heartbeatIntervalMs);
+  }
+
+  #stopHeartbeat() {
+    clearInterval(this._heartbeatTimer);
+    clearTimeout(this._pongTimer);
+    this._heartbeatTimer = null;
+    this._pongTimer = null;
+  }
+
+  #flushQueue() {
+    while (this._queue.length > 0 && this.isOpen) {
+      if (!this.#write(this._queue[0])) break;
+      this._queue.shift();
+    }
+  }
+
+  #write(message) {
+    try {
+      this._socket.send(JSON.stringify(message));
+      return true;
+    } catch (error) {
+      console.warn("WebSocket send failed", error);
+      return false;
+    }
+  }
+
+  #dropSocket(code, reason) {
+    const socket = this._socket;
+    this._socket = null;
+    this.#stopHeartbeat();
+    if (!socket) return;
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onclose = null;
+    socket.onerror = null;
+    try {
+      socket.close(code, reason);
+    } catch {
+      // Already closing.
+    }
+  }
+
+  #setState(state, { delayMs = null } = {}) {
+    const previous = this._state;
+    if (previous === state && delayMs == null) return;
+    this._state = state;
+    this.dispatchEvent(
+      new CustomEvent("statechange", {
+        detail: { state, previous, attempt: this._attempt, delayMs },
+      })
+    );
+  }
+}
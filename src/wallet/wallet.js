@@ -0,0 +1,71 @@
+export const DEMO_STARTING_BALANCE = 1000;
+
+const BALANCE_DECIMALS = 8;
+
+function roundAmount(value) {
+  const factor = 10 ** BALANCE_DECIMALS;
+  return Math.round(value * factor) / factor;
+}
+
+function toAmount(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? Math.max(0, numeric) : 0;
+}
+
+/**
+ * Tracks a balance and emits `change` with `{ balance, delta, reason }`
+ * whenever it moves. Amounts are kept to 8 decimal places to match the bet
+ * input.
+ */
+export class Wallet extends EventTarget {
+  constructor({ balance = DEMO_STARTING_BALANCE } = {}) {
+    super();
+    this._balance = roundAmount(toAmount(balance));
+  }
+
+  get balance() {
+    return this._balance;
+  }
+
+  canAfford(amount) {
+    return roundAmount(toAmount(amount)) <= this._balance;
+  }
+
+  /**
+   * Removes `amount` from the balance. Returns false, leaving the balance
+   * untouched, when the funds are insufficient.
+   */
+  debit(amount, { reason = "bet" } = {}) {
+    const value = roundAmount(toAmount(amount));
+    if (value > this._balance) {
+      return false;
+    }
+    this.#update(this._balance - value, reason);
+    return true;
+  }
+
+  credit(amount, { reason = "payout" } = {}) {
+    const value = roundAmount(toAmount(amount));
+    if (value > 0) {
+      this.#update(this._balance + value, reason);
+    }
+  }
+
+  setBalance(value, { reason = "update" } = {}) {
+    this.#update(toAmount(value), reason);
+  }
+
+  #update(next, reason) {
+    const previous = this._balance;
+    this._balance = roundAmount(next);
+    this.dispatchEvent(
+      new CustomEvent("change", {
+        detail: {
+          balance: this._balance,
+          delta: roundAmount(this._balance - previous),
+          reason,
+        },
+      })
+    );
+  }
+}